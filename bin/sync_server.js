@@ -0,0 +1,84 @@
+'use strict';
+
+// A minimal stand-in server for the Remote Sync settings provider, for
+// local development and testing. It stores a single settings document in
+// a JSON file and supports ETags for conditional requests.
+//
+// Usage: node bin/sync_server [port] [file] [token]
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+
+const PORT = parseInt(process.argv[2], 10) || 8009,
+	FILE = process.argv[3] || 'sync-data.json',
+	TOKEN = process.argv[4] || null;
+
+let doc = null,
+	etag = null;
+
+if ( fs.existsSync(FILE) ) {
+	doc = fs.readFileSync(FILE, 'utf8');
+	etag = `"${crypto.createHash('sha1').update(doc).digest('hex')}"`;
+}
+
+function send(res, status, body, headers) {
+	res.writeHead(status, Object.assign({
+		'Access-Control-Allow-Origin': '*',
+		'Access-Control-Allow-Headers': 'Authorization, Content-Type, If-Match, If-None-Match',
+		'Access-Control-Allow-Methods': 'GET, PUT, OPTIONS',
+		'Access-Control-Expose-Headers': 'ETag'
+	}, headers));
+	res.end(body);
+}
+
+const server = http.createServer((req, res) => {
+	if ( req.method === 'OPTIONS' )
+		return send(res, 204);
+
+	if ( TOKEN && req.headers.authorization !== `Bearer ${TOKEN}` )
+		return send(res, 401);
+
+	if ( req.method === 'GET' ) {
+		if ( ! doc )
+			return send(res, 404);
+
+		if ( req.headers['if-none-match'] === etag )
+			return send(res, 304, null, {ETag: etag});
+
+		return send(res, 200, doc, {'Content-Type': 'application/json', ETag: etag});
+	}
+
+	if ( req.method === 'PUT' ) {
+		const if_match = req.headers['if-match'],
+			if_none_match = req.headers['if-none-match'];
+
+		if ( (if_match && if_match !== etag) || (if_none_match === '*' && doc) )
+			return send(res, 412);
+
+		const chunks = [];
+		req.on('data', chunk => chunks.push(chunk));
+		req.on('end', () => {
+			const body = Buffer.concat(chunks).toString('utf8');
+			try {
+				JSON.parse(body);
+			} catch(err) {
+				return send(res, 400);
+			}
+
+			doc = body;
+			etag = `"${crypto.createHash('sha1').update(doc).digest('hex')}"`;
+			fs.writeFileSync(FILE, doc);
+
+			console.log(`[${new Date().toISOString()}] Stored ${doc.length} bytes (${etag})`);
+			send(res, 200, null, {ETag: etag});
+		});
+		return;
+	}
+
+	send(res, 405);
+});
+
+server.listen(PORT, () => {
+	console.log(`Settings sync server listening on http://localhost:${PORT}/`);
+});
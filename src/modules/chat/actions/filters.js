@@ -0,0 +1,147 @@
+'use strict';
+
+// ============================================================================
+// Visibility Filters for Chat Actions
+// ============================================================================
+
+import {Title} from 'src/settings/filters';
+
+export {Invert, And, Or, If, Channel} from 'src/settings/filters';
+
+
+export const USER_LEVELS = [
+	{value: 0, title: 'Everyone', i18n: 'chat.actions.filter.level.everyone'},
+	{value: 1, title: 'Subscriber', i18n: 'chat.actions.filter.level.subscriber'},
+	{value: 2, title: 'VIP', i18n: 'chat.actions.filter.level.vip'},
+	{value: 3, title: 'Moderator', i18n: 'chat.actions.filter.level.moderator'},
+	{value: 4, title: 'Broadcaster', i18n: 'chat.actions.filter.level.broadcaster'}
+];
+
+
+export const Badge = {
+	createTest(config = {}) {
+		const badge = config.badge;
+		if ( ! badge )
+			return () => false;
+
+		return ctx => ctx.badges != null && ctx.badges[badge] != null;
+	},
+
+	title: 'User Has Badge',
+	i18n: 'chat.actions.filter.badge',
+
+	default: () => ({
+		badge: 'subscriber'
+	}),
+
+	editor: () => import(/* webpackChunkName: 'main-menu' */ './components/filter-badge.vue')
+};
+
+
+export const AnyBadge = {
+	createTest(config) {
+		return ctx => (ctx.badges != null && Object.keys(ctx.badges).length > 0) === !! config;
+	},
+
+	title: 'User Has Any Badge',
+	i18n: 'chat.actions.filter.any-badge',
+
+	default: true,
+
+	editor: () => import(/* webpackChunkName: 'main-menu' */ 'src/settings/components/basic-toggle.vue')
+};
+
+
+export const UserLevel = {
+	createTest(config = {}) {
+		const min = config.min ?? 0,
+			max = config.max ?? 4;
+
+		return ctx => ctx.level >= min && ctx.level <= max;
+	},
+
+	title: 'User Level',
+	i18n: 'chat.actions.filter.level',
+
+	default: () => ({
+		min: 0,
+		max: 1
+	}),
+
+	editor: () => import(/* webpackChunkName: 'main-menu' */ './components/filter-user-level.vue')
+};
+
+
+export const FirstMessage = {
+	createTest(config) {
+		return ctx => ctx.first === !! config;
+	},
+
+	title: 'First Message in Channel',
+	i18n: 'chat.actions.filter.first-message',
+
+	default: true,
+
+	editor: () => import(/* webpackChunkName: 'main-menu' */ 'src/settings/components/basic-toggle.vue')
+};
+
+
+export const MessageAge = {
+	createTest(config = {}) {
+		const age = (config.seconds || 0) * 1000,
+			older = config.mode === 'older';
+
+		return ctx => {
+			if ( ! ctx.timestamp )
+				return false;
+
+			const elapsed = Date.now() - ctx.timestamp;
+			return older ? elapsed >= age : elapsed < age;
+		}
+	},
+
+	title: 'Message Age',
+	i18n: 'chat.actions.filter.age',
+
+	default: () => ({
+		mode: 'newer',
+		seconds: 60
+	}),
+
+	editor: () => import(/* webpackChunkName: 'main-menu' */ './components/filter-message-age.vue')
+};
+
+
+export const MessageText = {
+	createTest(config, rule_types, rebuild) {
+		// The configuration is shared with the Current Title filter so
+		// that we can use its editor.
+		const test = Title.createTest(config, rule_types, rebuild);
+		return ctx => test({title: ctx.text});
+	},
+
+	title: 'Message Content',
+	i18n: 'chat.actions.filter.text',
+
+	default: () => ({
+		title: '',
+		mode: 'text',
+		sensitive: false
+	}),
+
+	editor: () => import(/* webpackChunkName: 'main-menu' */ 'src/settings/components/title.vue')
+};
+
+
+export const HasLink = {
+	createTest(config) {
+		return ctx => ctx.has_link === !! config;
+	},
+
+	title: 'Message Contains Link',
+	i18n: 'chat.actions.filter.link',
+
+	default: true,
+
+	editor: () => import(/* webpackChunkName: 'main-menu' */ 'src/settings/components/basic-toggle.vue')
+};
@@ -5,16 +5,21 @@
 // ============================================================================
 
 import Module from 'utilities/module';
-import {has, maybe_call, deep_copy} from 'utilities/object';
+import {has, maybe_call, deep_copy, isValidShortcut} from 'utilities/object';
 import {createElement, ClickOutside} from 'utilities/dom';
+import {createTester} from 'utilities/filtering';
 import Tooltip from 'utilities/tooltip';
 
 import * as ACTIONS from './types';
 import * as RENDERERS from './renderers';
+import * as FILTERS from './filters';
 import { transformPhrase } from 'src/i18n';
 
 const VAR_REPLACE = /\{\{(.*?)(?:\|(.*?))?\}\}/g;
 
+// Action lists that can have hotkeys for keyboard moderation mode.
+const HOTKEY_LISTS = ['chat.actions.inline', 'chat.actions.hover', 'chat.actions.user-context'];
+
 export default class Actions extends Module {
 	constructor(...args) {
 		super(...args);
@@ -25,6 +30,9 @@ export default class Actions extends Module {
 
 		this.actions = {};
 		this.renderers = {};
+		this.filters = {};
+
+		this._filter_tests = new WeakMap;
 
 		this.settings.add('chat.actions.size', {
 			default: 16,
@@ -109,7 +117,8 @@ export default class Actions extends Module {
 					return {
 						color: val => chat && chat.colors ? chat.colors.process(val) : val,
 						actions: deep_copy(this.actions),
-						renderers: deep_copy(this.renderers)
+						renderers: deep_copy(this.renderers),
+						filters: deep_copy(this.filters)
 					}
 				}
 			}
@@ -147,7 +156,8 @@ export default class Actions extends Module {
 					return {
 						color: val => chat && chat.colors ? chat.colors.process(val) : val,
 						actions: deep_copy(this.actions),
-						renderers: deep_copy(this.renderers)
+						renderers: deep_copy(this.renderers),
+						filters: deep_copy(this.filters)
 					}
 				}
 			}
@@ -177,7 +187,8 @@ export default class Actions extends Module {
 					return {
 						color: val => chat && chat.colors ? chat.colors.process(val) : val,
 						actions: deep_copy(this.actions),
-						renderers: deep_copy(this.renderers)
+						renderers: deep_copy(this.renderers),
+						filters: deep_copy(this.filters)
 					}
 				}
 			}
@@ -261,6 +272,10 @@ export default class Actions extends Module {
 		for(const key in RENDERERS)
 			if ( has(RENDERERS, key) )
 				this.addRenderer(key, RENDERERS[key]);
+
+		for(const key in FILTERS)
+			if ( has(FILTERS, key) && FILTERS[key]?.createTest )
+				this.addFilter(key, FILTERS[key]);
 	}
 
 
@@ -295,6 +310,53 @@ export default class Actions extends Module {
 	}
 
 
+	addFilter(key, data) {
+		if ( has(this.filters, key) )
+			return this.log.warn(`Attempted to add filter "${key}" which is already defined.`);
+
+		this.filters[key] = data;
+		this._filter_tests = new WeakMap;
+		this.emit('chat:update-lines');
+	}
+
+
+	/**
+	 * Check an action's visibility rules against a chat message.
+	 *
+	 * @param {Object[]} rules The rules from the action's `display.filter`.
+	 * @param {Object} msg The chat message.
+	 * @param {Object} room The room the message was sent in.
+	 * @returns {Boolean} Whether or not the action should be visible.
+	 */
+	testFilter(rules, msg, room) {
+		if ( ! Array.isArray(rules) || ! rules.length )
+			return true;
+
+		let test = this._filter_tests.get(rules);
+		if ( ! test ) {
+			test = createTester(rules, this.filters, false, false, () => {
+				this._filter_tests = new WeakMap;
+				this.emit('chat:update-lines');
+			});
+
+			this._filter_tests.set(rules, test);
+		}
+
+		const tokens = msg.ffz_tokens;
+
+		return test({
+			badges: msg.badges,
+			level: this.parent.getUserLevel(msg),
+			first: !! msg.isFirstMsg,
+			timestamp: msg.timestamp,
+			text: msg.message,
+			has_link: Array.isArray(tokens) && tokens.some(token => token && token.type === 'link'),
+			channelID: room?.id,
+			channelLogin: room?.login
+		});
+	}
+
+
 	replaceVariables(text, data) {
 		return transformPhrase(
 			text,
@@ -748,6 +810,9 @@ export default class Actions extends Module {
 					(disp.deleted != null && disp.deleted !== !!msg.deleted) )
 					continue;
 
+				if ( disp.filter && ! this.testFilter(disp.filter, msg, r) )
+					continue;
+
 				if ( maybe_call(act.hidden, this, data, msg, r, u, mod_icons, chat_line) )
 					continue;
 
@@ -851,6 +916,9 @@ export default class Actions extends Module {
 			if ( is_self && ! act.can_self )
 				continue;
 
+			if ( disp.filter && ! this.testFilter(disp.filter, msg, current_room) )
+				continue;
+
 			if ( maybe_call(act.hidden, this, data, msg, current_room, current_user, mod_icons, instance) )
 				continue;
 
@@ -941,6 +1009,9 @@ export default class Actions extends Module {
 			if ( is_self && ! act.can_self )
 				continue;
 
+			if ( disp.filter && ! this.testFilter(disp.filter, msg, current_room) )
+				continue;
+
 			if ( maybe_call(act.hidden, this, data, msg, current_room, current_user, mod_icons, instance) )
 				continue;
 
@@ -1169,6 +1240,120 @@ export default class Actions extends Module {
 		this.renderUserContext(target, actions);
 	}
 
+	/**
+	 * Get every hotkey bound to a chat action that can be used with a
+	 * chat message. These are used by keyboard moderation mode.
+	 *
+	 * @returns {String[]} A list of hotkeys.
+	 */
+	getHotkeys() {
+		const out = new Set;
+
+		for(const key of HOTKEY_LISTS)
+			for(const data of this.parent.context.get(key))
+				if ( data && data.action && data.hotkey && isValidShortcut(data.hotkey) )
+					out.add(data.hotkey);
+
+		return [...out];
+	}
+
+
+	/**
+	 * Run the first chat action bound to a hotkey for a chat line, as if
+	 * the user had clicked on the action. The action's visibility rules
+	 * are respected, except for the Mod Icons rule since the action does
+	 * not need to be visible.
+	 *
+	 * @param {String} hotkey The hotkey that was pressed.
+	 * @param {Object} line The chat line's React instance.
+	 * @param {Event} [event] The event that triggered this.
+	 * @returns {Boolean} Whether or not an action was run.
+	 */
+	runHotkey(hotkey, line, event) {
+		const site = this.resolve('site'),
+			msg = line?.props?.message;
+
+		if ( ! msg || ! site || ! hotkey )
+			return false;
+
+		let room = msg.roomLogin ? msg.roomLogin : msg.channel ? msg.channel.slice(1) : undefined;
+		if ( ! room && line.props.channelID ) {
+			const r = this.parent.getRoom(line.props.channelID, null, true);
+			if ( r && r.login )
+				room = msg.roomLogin = r.login;
+		}
+
+		const u = site.getUser(),
+			r = {id: line.props.channelID ?? msg.roomId, login: room};
+
+		if ( u ) {
+			u.moderator = line.props.isCurrentUserModerator;
+			u.staff = line.props.isCurrentUserStaff;
+		}
+
+		const current_level = this.getUserLevel(r, u),
+			msg_level = this.getUserLevel(r, msg.user),
+			is_self = msg.user && u && u.login === msg.user.login;
+
+		for(const key of HOTKEY_LISTS)
+			for(const data of this.parent.context.get(key)) {
+				if ( ! data || ! data.action || data.hotkey !== hotkey )
+					continue;
+
+				const disp = data.display || {},
+					act = this.actions[data.action];
+
+				if ( ! act || ! act.click || disp.disabled ||
+					(disp.mod != null && disp.mod !== (current_level > msg_level)) ||
+					(disp.staff != null && disp.staff !== (u ? !!u.staff : false)) ||
+					(disp.deleted != null && disp.deleted !== !!msg.deleted) )
+					continue;
+
+				if ( is_self && ! act.can_self )
+					continue;
+
+				if ( disp.filter && ! this.testFilter(disp.filter, msg, r) )
+					continue;
+
+				if ( maybe_call(act.hidden, this, data, msg, r, u, false, line) ||
+						maybe_call(act.disabled, this, data, msg, r, u, false, line) )
+					continue;
+
+				const action_data = {
+					action: data.action,
+					definition: act,
+					tip: data.appearance?.tooltip,
+					options: data.options ? deep_copy(data.options) : null,
+					user: msg.user ? {
+						color: msg.user.color,
+						id: msg.user.id,
+						login: msg.user.login,
+						displayName: msg.user.displayName,
+						type: msg.user.type
+					} : null,
+					room: r,
+					message: {
+						id: msg.id,
+						text: msg.message
+					},
+					message_id: msg.id,
+					line
+				};
+
+				if ( act.defaults )
+					action_data.options = Object.assign({}, maybe_call(act.defaults, this, action_data, null), action_data.options);
+
+				if ( act.required_context && act.required_context.some(x => ! action_data[x]) )
+					continue;
+
+				act.click.call(this, event, action_data);
+				return true;
+			}
+
+		return false;
+	}
+
+
 	pasteMessage(room, message) {
 		return this.resolve('site.chat.input').pasteMessage(room, message);
 	}
@@ -1177,4 +1362,11 @@ export default class Actions extends Module {
 	sendMessage(room, message) {
 		return this.resolve('site.chat').sendMessage(room, message);
 	}
+
+
+	logModAction(action, data, extra) {
+		const log = this.resolve('chat.mod_log');
+		if ( log )
+			log.record(action, data, extra);
+	}
 }
\ No newline at end of file
@@ -1,6 +1,7 @@
 'use strict';
 
 import {createElement} from 'utilities/dom';
+import {maybe_call, sleep} from 'utilities/object';
 
 
 // ============================================================================
@@ -174,6 +175,31 @@ export const edit_overrides = {
 }
 
 
+export const edit_note = {
+	presets: [{
+		appearance: {
+			type: 'icon',
+			icon: 'ffz-i-doc-text'
+		}
+	}],
+
+	required_context: ['user'],
+
+	title: 'Edit Note',
+	description: 'Allows you to write a private note about a user. Users with notes have an indicator next to their name in chat.',
+
+	can_self: true,
+
+	tooltip() {
+		return this.i18n.t('chat.actions.edit_note', 'Edit Note')
+	},
+
+	click(event, data) {
+		this.resolve('chat.overrides').renderUserEditor(data.user, event.target, 'note');
+	}
+}
+
+
 // ============================================================================
 // Copy to Clipboard
 // ============================================================================
@@ -369,6 +395,7 @@ export const msg_delete = {
 
 	click(event, data) {
 		this.sendMessage(data.room.login, `/delete ${data.message_id}`);
+		this.logModAction('msg_delete', data);
 	}
 }
 
@@ -410,6 +437,7 @@ export const ban = {
 			reason = this.replaceVariables(reason, data);
 
 		this.sendMessage(data.room.login, `/ban ${data.user.login} ${reason}`);
+		this.logModAction('ban', data, {reason});
 	}
 }
 
@@ -466,6 +494,10 @@ export const timeout = {
 			reason = this.replaceVariables(reason, data);
 
 		this.sendMessage(data.room.login, `/timeout ${data.user.login} ${data.options.duration} ${reason}`);
+		this.logModAction('timeout', data, {
+			duration: data.options.duration,
+			reason
+		});
 	}
 }
 
@@ -559,6 +591,7 @@ export const mod = {
 
 	click(event, data) {
 		this.sendMessage(data.room.login, `/mod ${data.user.login}`);
+		this.logModAction('mod', data);
 	}
 };
 
@@ -645,6 +678,112 @@ export const whisper = {
 }
 
 
+// ============================================================================
+// Macro
+// ============================================================================
+
+function getStepData(actions, step, data) {
+	const definition = step && actions.actions[step.action];
+	if ( ! definition || definition.macro || ! definition.click )
+		return null;
+
+	const out = Object.assign({}, data, {
+		action: step.action,
+		definition,
+		options: step.options || {}
+	});
+
+	if ( definition.defaults )
+		out.options = Object.assign({}, maybe_call(definition.defaults, actions, out), out.options);
+
+	return out;
+}
+
+
+export const macro = {
+	presets: [{
+		appearance: {
+			type: 'icon',
+			icon: 'ffz-i-fast-fw'
+		}
+	}],
+
+	defaults: {
+		steps: []
+	},
+
+	// Steps are edited by the action editor directly, since each step
+	// needs to use the editor of its own action type.
+	macro: true,
+
+	title: 'Macro',
+	description(data) {
+		const steps = data.options.steps;
+		return this.t('chat.actions.macro.desc', '{count, plural, one {# step} other {# steps}}', {
+			count: Array.isArray(steps) ? steps.length : 0
+		});
+	},
+	description_i18n: null,
+
+	can_self: true,
+
+	tooltip(data) {
+		const steps = Array.isArray(data.options.steps) ? data.options.steps : [],
+			out = [
+				(<div class="tw-border-b tw-mg-b-05">{ // eslint-disable-line react/jsx-key
+					this.i18n.t('chat.actions.macro', 'Macro')
+				}</div>)
+			];
+
+		let i = 0;
+		for(const step of steps) {
+			const step_data = getStepData(this, step, data);
+			if ( ! step_data || ! step_data.definition.tooltip )
+				continue;
+
+			i++;
+			out.push(<div class="tw-align-left tw-flex">{ // eslint-disable-line react/jsx-key
+				[
+					<div class="tw-mg-r-05">{`${i}.`}</div>, // eslint-disable-line react/jsx-key
+					<div>{maybe_call(step_data.definition.tooltip, this, step_data)}</div> // eslint-disable-line react/jsx-key
+				]
+			}</div>);
+		}
+
+		return out;
+	},
+
+	async click(event, data) {
+		const steps = data.options.steps;
+		if ( ! Array.isArray(steps) )
+			return;
+
+		for(const step of steps) {
+			const step_data = getStepData(this, step, data);
+			if ( ! step_data ) {
+				this.log.warn(`Skipping unsupported macro step "${step && step.action}"`);
+				continue;
+			}
+
+			const required = step_data.definition.required_context;
+			if ( required && required.some(key => ! data[key]) ) {
+				this.log.warn(`Skipping macro step "${step.action}" due to missing context.`);
+				continue;
+			}
+
+			if ( step.delay > 0 )
+				await sleep(step.delay * 1000); // eslint-disable-line no-await-in-loop
+
+			try {
+				await step_data.definition.click.call(this, event, step_data); // eslint-disable-line no-await-in-loop
+			} catch(err) {
+				this.log.error(`Error running macro step "${step.action}".`, err);
+			}
+		}
+	}
+}
+
+
 // ============================================================================
 // Gift Subscription
 // ============================================================================
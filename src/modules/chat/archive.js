@@ -0,0 +1,512 @@
+'use strict';
+
+// ============================================================================
+// Chat Archive
+// ============================================================================
+
+import Module from 'utilities/module';
+import {createElement} from 'utilities/dom';
+import {IndexedDBProvider} from 'src/settings/providers';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const FLUSH_DELAY = 1000,
+	PRUNE_INTERVAL = 5 * 60 * 1000;
+
+
+/**
+ * A stripped down {@link IndexedDBProvider} that re-uses the database
+ * plumbing of the settings provider to store archived chat messages in
+ * their own database.
+ *
+ * @extends IndexedDBProvider
+ */
+class ArchiveStorage extends IndexedDBProvider {
+	constructor(manager) {
+		super(manager, false);
+	}
+
+	static dbName = 'FFZ-Archive';
+	static dbVersion = 1;
+	static dbStores = ['messages'];
+
+	upgradeDB(db) { // eslint-disable-line class-methods-use-this
+		const store = db.createObjectStore('messages', {keyPath: 'id'});
+		store.createIndex('timestamp', 'timestamp');
+		store.createIndex('room', ['room', 'timestamp']);
+	}
+
+	_request(mode, fn) {
+		return this.getDB().then(db => new Promise((s,f) => {
+			if ( this.disabled )
+				return s();
+
+			const trx = db.transaction(['messages'], mode),
+				store = trx.objectStore('messages'),
+				req = fn(store);
+
+			this._onStart(trx);
+
+			trx.oncomplete = () => {
+				s(req ? req.result : undefined);
+				this._onFinish(trx);
+			}
+
+			trx.onerror = trx.onabort = err => {
+				f(err);
+				this._onFinish(trx);
+			}
+		}));
+	}
+
+	iterate(mode, index, range, direction, fn) {
+		return this.getDB().then(db => new Promise((s,f) => {
+			if ( this.disabled )
+				return s();
+
+			const trx = db.transaction(['messages'], mode),
+				store = trx.objectStore('messages'),
+				source = index ? store.index(index) : store,
+				req = source.openCursor(range, direction);
+
+			this._onStart(trx);
+
+			req.onsuccess = () => {
+				const cursor = req.result;
+				if ( cursor && fn(cursor) !== false )
+					cursor.continue();
+			}
+
+			trx.oncomplete = () => {
+				s();
+				this._onFinish(trx);
+			}
+
+			trx.onerror = trx.onabort = err => {
+				f(err);
+				this._onFinish(trx);
+			}
+		}));
+	}
+
+	putMessages(records) {
+		return this._request('readwrite', store => {
+			for(const record of records)
+				store.put(record);
+		});
+	}
+
+	count(room) {
+		return this._request('readonly', store => {
+			if ( room )
+				return store.index('room').count(IDBKeyRange.bound([room, 0], [room, Infinity]));
+			return store.count();
+		});
+	}
+
+	clearMessages() {
+		return this._request('readwrite', store => store.clear());
+	}
+
+	deleteBefore(timestamp) {
+		return this.iterate('readwrite', 'timestamp', IDBKeyRange.upperBound(timestamp, true), 'next', cursor => {
+			cursor.delete();
+		});
+	}
+
+	async trimRoom(room, max) {
+		const total = await this.count(room);
+		let extra = total - max;
+		if ( extra <= 0 )
+			return 0;
+
+		const removed = extra;
+
+		await this.iterate('readwrite', 'room', IDBKeyRange.bound([room, 0], [room, Infinity]), 'next', cursor => {
+			cursor.delete();
+			extra--;
+			return extra > 0;
+		});
+
+		return removed;
+	}
+
+	getRooms() {
+		const out = [];
+
+		return this.iterate('readonly', 'room', null, 'next', cursor => {
+			const room = cursor.key[0];
+			out.push(room);
+
+			// Skip straight past the remaining entries for this room.
+			cursor.continue([room, Infinity]);
+			return false;
+		}).then(() => out);
+	}
+}
+
+
+export default class Archive extends Module {
+	constructor(...args) {
+		super(...args);
+
+		this.inject('settings');
+
+		this.storage = null;
+		this.queue = [];
+		this.recording = false;
+		this._flush_timer = null;
+		this._last_prune = 0;
+
+		this.settings.add('chat.archive.enabled', {
+			default: false,
+			ui: {
+				path: 'Chat > Archive >> General',
+				title: 'Store a local archive of chat messages.',
+				description: 'When enabled, every chat message you see is saved to a database in your browser so that you can search through it later. Archived messages never leave your computer.',
+				component: 'setting-check-box'
+			}
+		});
+
+		this.settings.add('chat.archive.max-age', {
+			default: 30,
+			ui: {
+				path: 'Chat > Archive >> General',
+				title: 'Retention (Days)',
+				description: 'Archived messages older than this many days are removed. Set to zero to keep messages forever.',
+				component: 'setting-text-box',
+				process: 'to_int',
+				bounds: [0]
+			}
+		});
+
+		this.settings.add('chat.archive.max-messages', {
+			default: 50000,
+			ui: {
+				path: 'Chat > Archive >> General',
+				title: 'Maximum Messages per Channel',
+				description: 'Only keep up to this many of the most recent messages for each channel. Set to zero for no limit.',
+				component: 'setting-text-box',
+				process: 'to_int',
+				bounds: [0]
+			}
+		});
+
+		this.settings.addUI('chat.archive.search', {
+			path: 'Chat > Archive >> Search @{"profile_warning": false}',
+			component: 'chat-archive',
+			getArchive: () => this,
+			force_seen: true
+		});
+	}
+
+	onEnable() {
+		this.parent.context.getChanges('chat.archive.enabled', this.updateEnabled, this);
+		this.parent.context.on('changed:chat.archive.max-age', this.prune, this);
+		this.parent.context.on('changed:chat.archive.max-messages', this.prune, this);
+	}
+
+
+	getStorage() {
+		if ( ! this.storage ) {
+			if ( ! ArchiveStorage.supported() )
+				return null;
+
+			this.storage = new ArchiveStorage(this);
+		}
+
+		return this.storage;
+	}
+
+
+	updateEnabled(enabled) {
+		if ( enabled && ! this.getStorage() ) {
+			this.log.warn('IndexedDB is not available. Unable to archive chat.');
+			enabled = false;
+		}
+
+		if ( enabled === this.recording )
+			return;
+
+		this.recording = enabled;
+
+		if ( enabled ) {
+			this.on('chat:receive-message', this.onMessage, this);
+			this.prune();
+
+		} else {
+			this.off('chat:receive-message', this.onMessage, this);
+			this.flush();
+		}
+	}
+
+
+	// ========================================================================
+	// Recording
+	// ========================================================================
+
+	onMessage(event) {
+		const msg = event.message;
+		if ( ! msg || ! msg.id || ! msg.message || msg.ffz_removed )
+			return;
+
+		const user = msg.user || {},
+			room = event.channel || msg.roomLogin;
+
+		if ( ! room )
+			return;
+
+		this.queue.push({
+			id: msg.id,
+			room,
+			room_id: event.channelID || msg.roomID || null,
+			timestamp: msg.timestamp || Date.now(),
+			user: {
+				id: user.id,
+				login: user.login,
+				displayName: user.displayName,
+				color: user.color
+			},
+			message: msg.message,
+			is_action: !! msg.is_action,
+			emotes: msg.ffz_emotes || null,
+			badges: msg.badges || null
+		});
+
+		if ( ! this._flush_timer )
+			this._flush_timer = setTimeout(() => this.flush(), FLUSH_DELAY);
+	}
+
+
+	async flush() {
+		if ( this._flush_timer ) {
+			clearTimeout(this._flush_timer);
+			this._flush_timer = null;
+		}
+
+		if ( ! this.queue.length || ! this.storage )
+			return;
+
+		const records = this.queue;
+		this.queue = [];
+
+		try {
+			await this.storage.putMessages(records);
+		} catch(err) {
+			this.log.error('Unable to write messages to the archive.', err);
+			return;
+		}
+
+		if ( Date.now() - this._last_prune > PRUNE_INTERVAL )
+			this.prune();
+	}
+
+
+	async prune() {
+		const storage = this.storage;
+		if ( ! storage || ! this.recording )
+			return;
+
+		this._last_prune = Date.now();
+
+		const max_age = this.parent.context.get('chat.archive.max-age'),
+			max_messages = this.parent.context.get('chat.archive.max-messages');
+
+		try {
+			if ( max_age > 0 )
+				await storage.deleteBefore(Date.now() - max_age * DAY);
+
+			if ( max_messages > 0 ) {
+				const rooms = await storage.getRooms();
+				for(const room of rooms)
+					await storage.trimRoom(room, max_messages); // eslint-disable-line no-await-in-loop
+			}
+		} catch(err) {
+			this.log.error('Unable to prune the archive.', err);
+		}
+	}
+
+
+	async clear() {
+		const storage = this.getStorage();
+		if ( ! storage )
+			return;
+
+		this.queue = [];
+		await storage.clearMessages();
+	}
+
+
+	async getStats() {
+		const storage = this.getStorage();
+		if ( ! storage )
+			return null;
+
+		await this.flush();
+
+		const [count, rooms] = await Promise.all([
+			storage.count(),
+			storage.getRooms()
+		]);
+
+		return {count, rooms};
+	}
+
+
+	// ========================================================================
+	// Searching
+	// ========================================================================
+
+	/**
+	 * Search the archive for messages. Results are returned with the most
+	 * recent messages first.
+	 *
+	 * @param {Object} [options] The search options.
+	 * @param {String} [options.user] Only match messages from a user with this login or display name.
+	 * @param {String} [options.channel] Only match messages in this channel.
+	 * @param {String} [options.text] Only match messages containing every word of this text.
+	 * @param {Number} [options.from] Only match messages sent after this timestamp.
+	 * @param {Number} [options.to] Only match messages sent before this timestamp.
+	 * @param {Number} [options.limit=250] The maximum number of messages to return.
+	 * @returns {Promise<Object[]>} The matching message records.
+	 */
+	async search(options = {}) {
+		const storage = this.getStorage();
+		if ( ! storage )
+			return [];
+
+		await this.flush();
+
+		const user = options.user ? options.user.trim().toLowerCase() : null,
+			channel = options.channel ? options.channel.trim().toLowerCase() : null,
+			words = options.text ? options.text.toLowerCase().split(/\s+/).filter(x => x) : null,
+			from = options.from || 0,
+			to = options.to || Infinity,
+			limit = options.limit || 250,
+			out = [];
+
+		let index, range;
+		if ( channel ) {
+			index = 'room';
+			range = IDBKeyRange.bound([channel, from], [channel, to]);
+		} else {
+			index = 'timestamp';
+			range = IDBKeyRange.bound(from, to);
+		}
+
+		await storage.iterate('readonly', index, range, 'prev', cursor => {
+			const record = cursor.value;
+
+			if ( user ) {
+				const u = record.user;
+				if ( u.login !== user && (! u.displayName || u.displayName.toLowerCase() !== user) )
+					return;
+			}
+
+			if ( words ) {
+				const text = record.message.toLowerCase();
+				for(const word of words)
+					if ( ! text.includes(word) )
+						return;
+			}
+
+			out.push(record);
+			return out.length < limit;
+		});
+
+		return out;
+	}
+
+
+	// ========================================================================
+	// Rendering
+	// ========================================================================
+
+	/**
+	 * Rebuild a message object from an archived record so that it can be
+	 * passed through the normal tokenization process.
+	 *
+	 * @param {Object} record The archived message record.
+	 * @returns {Object} A standardized message.
+	 */
+	recordToMessage(record) {
+		const user = Object.assign({}, record.user);
+		user.isIntl = user.login && user.displayName && user.displayName.trim().toLowerCase() !== user.login;
+
+		return {
+			id: record.id,
+			ffz_archived: true,
+			roomID: record.room_id,
+			roomLogin: record.room,
+			timestamp: record.timestamp,
+			is_action: record.is_action,
+			user,
+			message: record.message,
+			ffz_emotes: record.emotes,
+			badges: record.badges,
+			ffz_badges: this.parent.badges.getBadges(user.id, user.login, record.room_id, record.room)
+		};
+	}
+
+	/**
+	 * Render an archived message record into a chat line element.
+	 *
+	 * The chat line renderers for live chat and for clips replace the
+	 * `render` method of Twitch's own React components, and depend on the
+	 * props Twitch passes to them, so they cannot be used outside of those
+	 * pages. Instead, this builds the same structure as the clips renderer
+	 * and uses the same helpers for badges, names, colors and tokens.
+	 *
+	 * @param {Object} record The archived message record, or a record in
+	 * the same format such as the previews of message types.
+	 * @returns {Element} The rendered chat line.
+	 */
+	renderMessage(record) {
+		const chat = this.parent,
+			msg = this.recordToMessage(record),
+			site = this.resolve('site'),
+			colors = this.resolve('site.chat')?.colors,
+			tokens = chat.tokenizeMessage(msg, site && site.getUser ? site.getUser() : null),
+			is_action = msg.is_action,
+			action_style = is_action ? chat.context.get('chat.me-style') : 0,
+			action_italic = action_style >= 2,
+			action_color = action_style === 1 || action_style === 3,
+			user = msg.user,
+			raw_color = chat.overrides.getColor(user.id) || user.color,
+			color = colors ? colors.process(raw_color) : raw_color,
+			override_name = chat.overrides.getName(user.id),
+			user_block = chat.formatUser(user, createElement),
+			e = createElement;
+
+		return e('div', {
+			className: `chat-line__message${msg.mentioned ? ' ffz-mentioned' : ''}`,
+			'data-room-id': msg.roomID,
+			'data-room': msg.roomLogin,
+			'data-user-id': user.id,
+			'data-user': user.login
+		}, [
+			e('span', {
+				className: 'chat-line__timestamp'
+			}, chat.formatTime(msg.timestamp)),
+			e('span', {
+				className: 'chat-line__message--badges'
+			}, chat.badges.render(msg, e)),
+			e('span', {
+				className: `chat-line__username notranslate${override_name ? ' ffz--name-override tw-relative ffz-il-tooltip__container' : ''} ${msg.ffz_user_class ?? ''}`,
+				style: {color}
+			}, override_name ? [
+				e('span', {
+					className: 'chat-author__display-name'
+				}, override_name),
+				e('div', {
+					className: 'ffz-il-tooltip ffz-il-tooltip--down ffz-il-tooltip--align-center'
+				}, user_block)
+			] : user_block),
+			e('span', null, is_action ? ' ' : ': '),
+			e('span', {
+				className: `message${action_italic ? ' chat-line__message-body--italicized' : ''}`,
+				style: action_color ? {color} : null
+			}, chat.renderTokens(tokens, e))
+		]);
+	}
+}
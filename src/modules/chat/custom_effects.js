@@ -0,0 +1,250 @@
+'use strict';
+
+// ============================================================================
+// Custom Emote Effects
+// ============================================================================
+
+import Module from 'utilities/module';
+import {ManagedStyle} from 'utilities/dom';
+import {generateHex} from 'utilities/object';
+
+const STORAGE_KEY = 'custom-emote-effects';
+
+export const TIMING_FUNCTIONS = [
+	'linear',
+	'ease',
+	'ease-in',
+	'ease-out',
+	'ease-in-out',
+	'step-start',
+	'step-end'
+];
+
+
+// Values are placed directly into a stylesheet, so make sure they can't
+// escape the rule they belong to.
+function clean(value) {
+	if ( value == null )
+		return '';
+
+	return String(value).replace(/[;{}<>]/g, '').trim();
+}
+
+function cleanKeyframes(value) {
+	if ( ! value || /[<>@]/.test(value) )
+		return null;
+
+	let depth = 0;
+	for(const char of value) {
+		if ( char === '{' )
+			depth++;
+		else if ( char === '}' && --depth < 0 )
+			return null;
+	}
+
+	return depth === 0 ? value.trim() : null;
+}
+
+
+/**
+ * Create a new custom effect with default values.
+ *
+ * @param {String} [name] The name of the effect.
+ * @returns {Object} The effect.
+ */
+export function createEffect(name) {
+	return {
+		id: generateHex(16),
+		name: name || '',
+		enabled: true,
+		targets: [],
+		keyframes: '',
+		duration: 1,
+		timing: 'linear',
+		iterations: 'infinite',
+		transform: '',
+		filter: '',
+		origin: ''
+	};
+}
+
+
+/**
+ * Generate the CSS for a custom effect.
+ *
+ * @param {Object} effect The effect.
+ * @param {String} selector The selector for the elements the effect
+ * should apply to.
+ * @param {String} [prefix] A prefix for the name of the animation. Use a
+ * different prefix when the same effect appears in more than one place
+ * with different settings, such as in a preview.
+ * @returns {String|null} The CSS, or `null` if the effect does nothing.
+ */
+export function generateEffectCss(effect, selector, prefix = 'ffz-custom-effect-') {
+	if ( ! effect )
+		return null;
+
+	const out = [],
+		rules = [],
+		transform = clean(effect.transform),
+		filter = clean(effect.filter),
+		origin = clean(effect.origin),
+		keyframes = cleanKeyframes(effect.keyframes);
+
+	if ( filter )
+		rules.push(`filter: ${filter};`);
+
+	if ( origin )
+		rules.push(`transform-origin: ${origin};`);
+
+	if ( transform )
+		rules.push(`transform: ${transform};`);
+
+	if ( keyframes ) {
+		const name = `${prefix}${clean(effect.id)}`,
+			duration = parseFloat(effect.duration) || 1,
+			timing = clean(effect.timing) || 'linear',
+			iterations = clean(effect.iterations) || 'infinite';
+
+		out.push(`@keyframes ${name} {\n${keyframes}\n}`);
+		rules.push(`animation: ${name} ${duration}s ${timing} ${iterations};`);
+	}
+
+	if ( ! rules.length )
+		return null;
+
+	out.push(`${selector} {\n\t${rules.join('\n\t')}\n}`);
+	return out.join('\n');
+}
+
+
+export default class CustomEffects extends Module {
+	constructor(...args) {
+		super(...args);
+
+		this.inject('settings');
+
+		this.targets = [];
+
+		this.settings.addUI('chat.effects.custom', {
+			path: 'Chat > Emote Effects > Custom Effects @{"description": "Custom effects are applied to emotes in chat on your computer only. Other people will not see them. They can be used to try out ideas for new effects.", "profile_warning": false}',
+			component: 'custom-effect-editor',
+			force_seen: true,
+
+			on: (...args) => this.on(...args),
+			off: (...args) => this.off(...args),
+
+			getEffects: () => this.getEffects(),
+			saveEffect: effect => this.saveEffect(effect),
+			deleteEffect: id => this.deleteEffect(id)
+		});
+	}
+
+	onEnable() {
+		this.style = new ManagedStyle('custom-effects');
+
+		this.parent.context.on('changed:chat.effects.enable', this.updateEffects, this);
+		this.settings.provider.on('changed', this.onProviderChange, this);
+
+		this.updateEffects();
+	}
+
+	onProviderChange(key) {
+		if ( key === STORAGE_KEY )
+			this.updateEffects();
+	}
+
+
+	getEffects() {
+		return this.settings.provider.get(STORAGE_KEY) || [];
+	}
+
+	setEffects(effects) {
+		if ( ! Array.isArray(effects) || ! effects.length )
+			this.settings.provider.delete(STORAGE_KEY);
+		else
+			this.settings.provider.set(STORAGE_KEY, effects);
+
+		this.updateEffects();
+	}
+
+	saveEffect(effect) {
+		const effects = this.getEffects(),
+			idx = effects.findIndex(x => x.id === effect.id);
+
+		if ( idx === -1 )
+			effects.push(effect);
+		else
+			effects[idx] = effect;
+
+		this.setEffects(effects);
+	}
+
+	deleteEffect(id) {
+		this.setEffects(this.getEffects().filter(x => x.id !== id));
+	}
+
+
+	/**
+	 * Find the custom effect that applies to an emote, given the names
+	 * of the emotes that follow it in a message.
+	 *
+	 * @param {String[]} names The name of the emote, followed by the
+	 * names of the emotes after it.
+	 * @returns {String|null} The ID of the effect, or `null`.
+	 */
+	getEffectFor(names) {
+		for(const target of this.targets) {
+			if ( target.names.length > names.length )
+				continue;
+
+			let matched = true;
+			for(let i = 0; i < target.names.length; i++)
+				if ( target.names[i] !== names[i] ) {
+					matched = false;
+					break;
+				}
+
+			if ( matched )
+				return target.effect;
+		}
+
+		return null;
+	}
+
+
+	updateEffects() {
+		const enabled = this.parent.context.get('chat.effects.enable'),
+			targets = [];
+
+		this.style.clear();
+
+		if ( enabled )
+			for(const effect of this.getEffects()) {
+				if ( ! effect?.enabled )
+					continue;
+
+				const css = generateEffectCss(effect, `.chat-line__message--emote[data-ffz-effect="${clean(effect.id)}"]`);
+				if ( ! css )
+					continue;
+
+				this.style.set(effect.id, css);
+
+				// A target is an emote name, or several names separated by
+				// spaces to only match an emote followed by those emotes.
+				if ( Array.isArray(effect.targets) )
+					for(const target of effect.targets) {
+						const names = typeof target === 'string' ? target.trim().split(/\s+/) : null;
+						if ( names && names[0] )
+							targets.push({names, effect: effect.id});
+					}
+			}
+
+		// Check longer combos before single emotes.
+		targets.sort((a, b) => b.names.length - a.names.length);
+		this.targets = targets;
+
+		this.emit(':changed');
+		this.emit('chat:update-line-tokens');
+	}
+}
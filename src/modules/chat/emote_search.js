@@ -0,0 +1,238 @@
+'use strict';
+
+// ============================================================================
+// Emote Search
+// ============================================================================
+
+// Scores for the different ways a search term can match an emote's name.
+// Lower scores are better matches.
+export const EXACT_PREFIX_MATCH = 0;
+export const CASE_INSENSITIVE_PREFIX_MATCH = 1;
+export const WORD_MATCH = 2;
+export const SUBSTRING_MATCH = 3;
+export const FUZZY_MATCH = 4;
+
+const TRUE_VALUES = ['yes', 'y', 'true', '1'];
+const FALSE_VALUES = ['no', 'n', 'false', '0'];
+
+const OPERATORS = {
+	provider: (value, emote) => {
+		for(const thing of [emote.provider, emote.source, emote.source_name])
+			if ( thing && String(thing).toLowerCase().startsWith(value) )
+				return true;
+
+		return false;
+	},
+
+	set: (value, emote) => emote.set ? emote.set.toLowerCase().includes(value) : false,
+	owner: (value, emote) => emote.owner ? emote.owner.toLowerCase().includes(value) : false,
+
+	animated: (value, emote) => !! emote.animated === value,
+	modifier: (value, emote) => !! emote.modifier === value
+};
+
+const BOOLEAN_OPERATORS = ['animated', 'modifier'];
+
+const TOKEN_REGEX = /(\S+?):"([^"]*)"?|\S+/g;
+
+
+/**
+ * Parse an emote search query. Queries are made up of words that are
+ * matched against emote names, as well as filters in the form `key:value`.
+ * Values that contain spaces may be quoted, as in `set:"Channel Emotes"`.
+ *
+ * Supported filters are `provider`, `set`, `owner`, `animated` and
+ * `modifier`. The last two expect a value of `yes` or `no`.
+ *
+ * @param {String} input The query.
+ * @returns {Object|null} The parsed query, or `null` if it is empty.
+ */
+export function parseQuery(input) {
+	if ( ! input || ! input.length )
+		return null;
+
+	const terms = [],
+		filters = [];
+
+	TOKEN_REGEX.lastIndex = 0;
+	let match;
+	while((match = TOKEN_REGEX.exec(input))) {
+		let key, value;
+		if ( match[1] ) {
+			key = match[1];
+			value = match[2];
+		} else {
+			const idx = match[0].indexOf(':');
+			if ( idx > 0 ) {
+				key = match[0].slice(0, idx);
+				value = match[0].slice(idx + 1);
+			}
+		}
+
+		key = key && key.toLowerCase();
+		value = value && value.toLowerCase();
+
+		if ( key && value && OPERATORS[key] ) {
+			if ( BOOLEAN_OPERATORS.includes(key) ) {
+				if ( TRUE_VALUES.includes(value) )
+					value = true;
+				else if ( FALSE_VALUES.includes(value) )
+					value = false;
+				else
+					value = null;
+			}
+
+			if ( value != null ) {
+				filters.push([OPERATORS[key], value]);
+				continue;
+			}
+		}
+
+		terms.push(match[0]);
+	}
+
+	if ( ! terms.length && ! filters.length )
+		return null;
+
+	return {
+		terms: terms.map(term => {
+			const colon = term.startsWith(':') && term.length > 1,
+				text = colon ? term.slice(1) : term;
+
+			return {
+				text,
+				lower: text.toLowerCase(),
+				colon
+			};
+		}),
+		filters
+	};
+}
+
+
+/**
+ * Get the smallest number of edits needed to turn a term into any
+ * substring of a string.
+ *
+ * @param {String} term The term.
+ * @param {String} str The string to look for it in.
+ * @returns {Number} The number of edits.
+ */
+export function getSubstringDistance(term, str) {
+	let last = new Array(str.length + 1).fill(0);
+
+	for(let i = 1; i <= term.length; i++) {
+		const row = [i];
+		for(let j = 1; j <= str.length; j++)
+			row[j] = Math.min(
+				last[j] + 1,
+				row[j - 1] + 1,
+				last[j - 1] + (term[i - 1] === str[j - 1] ? 0 : 1)
+			);
+
+		last = row;
+	}
+
+	return Math.min(...last);
+}
+
+
+function matchTerm(term, name, lower, extra) {
+	if ( name.startsWith(term.text) )
+		return EXACT_PREFIX_MATCH;
+
+	if ( lower.startsWith(term.lower) )
+		return CASE_INSENSITIVE_PREFIX_MATCH;
+
+	// Match the start of a word within a name, such as "Face" in "FrankerFaceZ".
+	const idx = name.indexOf(term.text.charAt(0).toUpperCase(), 1);
+	if ( idx !== -1 && lower.slice(idx + 1).startsWith(term.lower.slice(1)) )
+		return WORD_MATCH;
+
+	if ( Array.isArray(extra) ) {
+		for(const thing of extra)
+			if ( term.colon ? thing.startsWith(term.lower) : thing.includes(term.lower) )
+				return term.colon ? CASE_INSENSITIVE_PREFIX_MATCH : SUBSTRING_MATCH;
+	}
+
+	// Terms starting with a colon only match the start of names.
+	if ( term.colon )
+		return null;
+
+	if ( lower.includes(term.lower) )
+		return SUBSTRING_MATCH;
+
+	// Allow one typo for short terms, and two for longer ones.
+	if ( term.lower.length < 3 )
+		return null;
+
+	const distance = getSubstringDistance(term.lower, lower);
+	if ( distance <= (term.lower.length > 5 ? 2 : 1) )
+		return FUZZY_MATCH + distance;
+
+	return null;
+}
+
+
+/**
+ * Get the fields used to match an emote against a query. Both the emote
+ * menu and tab completion build their emotes with the same properties, and
+ * use this so that filters work the same way in each.
+ *
+ * @param {Object} emote The emote. This should have a `name` or `token`, and
+ * may have `search`, `extra`, `provider`, `source`, `source_name`,
+ * `set_name`, `owner`, `animated` and `modifier`.
+ * @returns {Object} The fields to pass to {@link matchEmote}.
+ */
+export function getSearchFields(emote) {
+	const name = emote.search || emote.name || emote.token;
+
+	return {
+		name,
+		lower: name === emote.token ? emote.tokenLower : null,
+		extra: Array.isArray(emote.extra) ? emote.extra : null,
+		provider: emote.provider,
+		source: emote.source,
+		source_name: emote.source_name,
+		set: emote.set_name,
+		owner: emote.owner,
+		animated: emote.animated,
+		modifier: emote.modifier
+	};
+}
+
+
+/**
+ * Check an emote against a parsed query.
+ *
+ * @param {Object} query A query from {@link parseQuery}.
+ * @param {Object} emote The emote, as returned by {@link getSearchFields}.
+ * @returns {Number|null} The score of the match, where lower is better, or
+ * `null` if the emote does not match.
+ */
+export function matchEmote(query, emote) {
+	if ( ! query )
+		return EXACT_PREFIX_MATCH;
+
+	const name = emote?.name;
+	if ( ! name )
+		return null;
+
+	for(const [test, value] of query.filters)
+		if ( ! test(value, emote) )
+			return null;
+
+	const lower = emote.lower || name.toLowerCase();
+	let score = EXACT_PREFIX_MATCH;
+
+	for(const term of query.terms) {
+		const result = matchTerm(term, name, lower, emote.extra);
+		if ( result == null )
+			return null;
+
+		if ( result > score )
+			score = result;
+	}
+
+	return score;
+}
@@ -0,0 +1,210 @@
+'use strict';
+
+// ============================================================================
+// Emote Usage
+// ============================================================================
+
+import Module from 'utilities/module';
+import {has} from 'utilities/object';
+
+const STORAGE_KEY = 'emote-usage';
+
+// Scores are halved after this long without use.
+const HALF_LIFE = 7 * 24 * 60 * 60 * 1000;
+
+// Entries with a score below this are forgotten when we save.
+const MIN_SCORE = 0.05;
+const MAX_ENTRIES = 500;
+
+
+function decay(entry, now) {
+	if ( ! entry )
+		return 0;
+
+	return entry.s * Math.pow(0.5, (now - entry.t) / HALF_LIFE);
+}
+
+
+export default class EmoteUsage extends Module {
+	constructor(...args) {
+		super(...args);
+
+		this.inject('settings');
+		this.inject('chat.emotes');
+		this.inject('chat.emoji');
+
+		this.settings.add('chat.emote-usage.enabled', {
+			default: true,
+			ui: {
+				path: 'Chat > Emote Menu >> Frequently Used',
+				title: 'Track which emotes you send.',
+				description: 'This is used to build the Frequently Used section of the emote menu and to sort emotes by usage. Usage fades over time, so emotes you stop using will eventually be forgotten. This information is saved along with your settings, so it is included in backups and kept in sync by the Remote Sync provider.',
+				component: 'setting-check-box'
+			}
+		});
+	}
+
+	onEnable() {
+		this.settings.provider.on('changed', this.onProviderChange, this);
+	}
+
+	onProviderChange(key) {
+		if ( key === STORAGE_KEY ) {
+			this._data = null;
+			this.emit(':changed');
+		}
+	}
+
+
+	getData() {
+		if ( ! this._data )
+			this._data = this.settings.provider.get(STORAGE_KEY) || {};
+
+		return this._data;
+	}
+
+
+	/**
+	 * Get the current usage score of an emote. A score starts at zero,
+	 * goes up by one every time the emote is sent, and decays over time.
+	 *
+	 * @param {String} source The source of the emote, the same as is used for favorites.
+	 * @param {String|Number} id The ID of the emote.
+	 * @returns {Number} The score.
+	 */
+	getScore(source, id) {
+		return decay(this.getData()[`${source}:${id}`], Date.now());
+	}
+
+
+	/**
+	 * Get the most frequently used emotes.
+	 *
+	 * @param {Number} [limit] The maximum number of emotes to return.
+	 * @returns {Object[]} A list of `{source, id, score}` objects, sorted
+	 * with the highest scores first.
+	 */
+	getFrequent(limit) {
+		const data = this.getData(),
+			now = Date.now(),
+			out = [];
+
+		for(const key in data)
+			if ( has(data, key) ) {
+				const idx = key.indexOf(':');
+				out.push({
+					source: key.slice(0, idx),
+					id: key.slice(idx + 1),
+					score: decay(data[key], now)
+				});
+			}
+
+		out.sort((a, b) => b.score - a.score);
+		return limit ? out.slice(0, limit) : out;
+	}
+
+
+	/**
+	 * Record that emotes were used.
+	 *
+	 * @param {Array} emotes A list of `[source, id]` pairs. An emote that
+	 * appears more than once is counted more than once.
+	 * @returns {void}
+	 */
+	record(emotes) {
+		if ( ! emotes?.length || ! this.parent.context.get('chat.emote-usage.enabled') )
+			return;
+
+		const data = this.getData(),
+			now = Date.now();
+
+		for(const [source, id] of emotes) {
+			const key = `${source}:${id}`;
+			data[key] = {
+				s: decay(data[key], now) + 1,
+				t: now
+			};
+		}
+
+		this.save(data, now);
+	}
+
+
+	/**
+	 * Record the emotes in a message that the user is sending.
+	 *
+	 * @param {String} message The text of the message.
+	 * @param {Object} [user] The user sending the message, with `id` and `login`.
+	 * @param {Object} [room] The room the message is sent to, with `id` and `login`.
+	 * @param {Object[]} [twitch] The user's Twitch emotes, as a list of
+	 * `{id, token}` objects. We don't have access to these ourselves.
+	 * @returns {void}
+	 */
+	recordMessage(message, user, room, twitch) {
+		if ( ! message || ! this.parent.context.get('chat.emote-usage.enabled') )
+			return;
+
+		const known = new Map;
+
+		if ( Array.isArray(twitch) )
+			for(const emote of twitch)
+				if ( emote?.token && ! known.has(emote.token) )
+					known.set(emote.token, ['twitch', emote.id]);
+
+		for(const emote_set of this.emotes.getSets(user?.id, user?.login, room?.id, room?.login))
+			if ( emote_set?.emotes ) {
+				const source = emote_set.source || 'ffz';
+				for(const emote of Object.values(emote_set.emotes))
+					if ( emote && ! known.has(emote.name) )
+						known.set(emote.name, [source, emote.id]);
+			}
+
+		const used = [];
+
+		for(const word of message.split(/\s+/)) {
+			const match = known.get(word);
+			if ( match )
+				used.push(match);
+		}
+
+		const splitter = this.emoji.splitter;
+		if ( splitter ) {
+			splitter.lastIndex = 0;
+			let match;
+			while((match = splitter.exec(message))) {
+				const entry = this.emoji.chars.get(match[0]);
+				if ( entry )
+					used.push(['emoji', entry[0]]);
+			}
+		}
+
+		this.record(used);
+	}
+
+
+	clear() {
+		this._data = {};
+		this.settings.provider.delete(STORAGE_KEY);
+		this.emit(':changed');
+	}
+
+
+	save(data, now) {
+		let entries = Object.entries(data)
+			.map(([key, entry]) => [key, entry, decay(entry, now)])
+			.filter(entry => entry[2] >= MIN_SCORE);
+
+		if ( entries.length > MAX_ENTRIES ) {
+			entries.sort((a, b) => b[2] - a[2]);
+			entries = entries.slice(0, MAX_ENTRIES);
+		}
+
+		const out = {};
+		for(const [key, entry] of entries)
+			out[key] = entry;
+
+		this._data = out;
+		this.settings.provider.set(STORAGE_KEY, out);
+		this.emit(':changed');
+	}
+}
@@ -6,7 +6,7 @@
 
 import Module from 'utilities/module';
 import {ManagedStyle} from 'utilities/dom';
-import {get, has, timeout, SourcedSet, make_enum_flags} from 'utilities/object';
+import {get, has, timeout, SourcedSet, make_enum_flags, generateHex} from 'utilities/object';
 import {NEW_API, IS_OSX, EmoteTypes, TWITCH_GLOBAL_SETS, TWITCH_POINTS_SETS, TWITCH_PRIME_SETS} from 'utilities/constants';
 
 import GET_EMOTE from './emote_info.gql';
@@ -18,6 +18,8 @@ const HoverState = Symbol('FFZ:Hover:State');
 
 const MOD_KEY = IS_OSX ? 'metaKey' : 'ctrlKey';
 
+const COLLECTIONS_KEY = 'emote-collections';
+
 const Flags = make_enum_flags(
 	'Hidden',
 	'FlipX',
@@ -592,6 +594,22 @@ export default class Emotes extends Module {
 			this.settings.add(`chat.effects.${val.setting}`, setting);
 		}
 
+		this.settings.addUI('chat.emote-collections', {
+			path: 'Chat > Emote Menu >> Collections @{"description": "Collections are named groups of emotes that are listed on the Favorites tab of the emote menu. Drag emotes onto a collection in the emote menu to add them, or drag them within a collection to change their order. Emotes can be removed from a collection by clicking them while changing emote visibility, or from here.", "profile_warning": false}',
+			component: 'emote-collections',
+			force_seen: true,
+
+			on: (...args) => this.on(...args),
+			off: (...args) => this.off(...args),
+
+			getCollections: () => this.getCollections(),
+			createCollection: name => this.createCollection(name),
+			renameCollection: (id, name) => this.renameCollection(id, name),
+			moveCollection: (id, index) => this.moveCollection(id, index),
+			deleteCollection: id => this.deleteCollection(id),
+			removeFromCollection: (id, source, emote_id) => this.removeFromCollection(id, source, emote_id)
+		});
+
 		// Because this may be used elsewhere.
 		this.handleClick = this.handleClick.bind(this);
 		this.animHover = this.animHover.bind(this);
@@ -612,6 +630,8 @@ export default class Emotes extends Module {
 
 		this.updateEffects();
 
+		this.settings.provider.on('changed', this.onProviderChange, this);
+
 		// Fix numeric Twitch favorite IDs.
 		const favs = this.getFavorites('twitch');
 		let changed = false;
@@ -648,6 +668,12 @@ export default class Emotes extends Module {
 	}
 
 
+	onProviderChange(key) {
+		if ( key === COLLECTIONS_KEY )
+			this.emit(':change-collections');
+	}
+
+
 	// ========================================================================
 	// Load Modifier Effects
 	// ========================================================================
@@ -919,6 +945,139 @@ export default class Emotes extends Module {
 	}
 
 
+	// ========================================================================
+	// Collections
+	// ========================================================================
+
+	/**
+	 * Get the user's emote collections, in order. Each collection has an
+	 * `id`, a `name` and a list of `emotes`. Each emote has a `source` and
+	 * `id`, the same as are used for favorites, as well as the `name` and
+	 * images it had when added so that it can be displayed even when it
+	 * isn't currently available.
+	 *
+	 * @returns {Object[]} The collections.
+	 */
+	getCollections() {
+		return this.settings.provider.get(COLLECTIONS_KEY) || [];
+	}
+
+	getCollection(id) {
+		return this.getCollections().find(collection => collection.id === id) || null;
+	}
+
+	setCollections(collections) {
+		if ( ! Array.isArray(collections) || ! collections.length )
+			this.settings.provider.delete(COLLECTIONS_KEY);
+		else
+			this.settings.provider.set(COLLECTIONS_KEY, collections);
+
+		this.emit(':change-collections');
+	}
+
+	createCollection(name) {
+		const collections = this.getCollections(),
+			collection = {
+				id: generateHex(16),
+				name,
+				emotes: []
+			};
+
+		collections.push(collection);
+		this.setCollections(collections);
+		return collection;
+	}
+
+	renameCollection(id, name) {
+		const collections = this.getCollections(),
+			collection = collections.find(collection => collection.id === id);
+
+		if ( ! collection || ! name )
+			return;
+
+		collection.name = name;
+		this.setCollections(collections);
+	}
+
+	moveCollection(id, index) {
+		const collections = this.getCollections(),
+			idx = collections.findIndex(collection => collection.id === id);
+
+		if ( idx === -1 || index < 0 || index >= collections.length )
+			return;
+
+		collections.splice(index, 0, ...collections.splice(idx, 1));
+		this.setCollections(collections);
+	}
+
+	deleteCollection(id) {
+		this.setCollections(this.getCollections().filter(collection => collection.id !== id));
+	}
+
+	/**
+	 * Add an emote to a collection. If the emote is already in the
+	 * collection, it is moved instead.
+	 *
+	 * @param {String} id The ID of the collection.
+	 * @param {Object} emote The emote, with a `source`, `id` and `name`.
+	 * `src` and `srcSet` may also be provided.
+	 * @param {Number} [index] The position to insert the emote at.
+	 * Defaults to the end of the collection.
+	 * @returns {Boolean} Whether or not the collection was changed.
+	 */
+	addToCollection(id, emote, index) {
+		const collections = this.getCollections(),
+			collection = collections.find(collection => collection.id === id);
+
+		if ( ! collection || ! emote?.source || emote.id == null )
+			return false;
+
+		const emotes = collection.emotes,
+			existing = emotes.findIndex(entry => entry.source === emote.source && String(entry.id) === String(emote.id));
+
+		if ( existing !== -1 ) {
+			emotes.splice(existing, 1);
+			if ( index != null && existing < index )
+				index--;
+		}
+
+		const entry = {
+			source: emote.source,
+			id: emote.id,
+			name: emote.name
+		};
+
+		if ( emote.src )
+			entry.src = emote.src;
+		if ( emote.srcSet )
+			entry.srcSet = emote.srcSet;
+
+		if ( index == null || index < 0 || index > emotes.length )
+			emotes.push(entry);
+		else
+			emotes.splice(index, 0, entry);
+
+		this.setCollections(collections);
+		return true;
+	}
+
+	removeFromCollection(id, source, emote_id) {
+		const collections = this.getCollections(),
+			collection = collections.find(collection => collection.id === id);
+
+		if ( ! collection )
+			return false;
+
+		const idx = collection.emotes.findIndex(entry => entry.source === source && String(entry.id) === String(emote_id));
+		if ( idx === -1 )
+			return false;
+
+		collection.emotes.splice(idx, 1);
+		this.setCollections(collections);
+		return true;
+	}
+
+
 	// ========================================================================
 	// Favorite Checking
 	// ========================================================================
@@ -8,13 +8,19 @@ import dayjs from 'dayjs';
 
 import Module from 'utilities/module';
 import {createElement, ManagedStyle} from 'utilities/dom';
-import {timeout, has, addWordSeparators, glob_to_regex, escape_regex, split_chars} from 'utilities/object';
+import {timeout, has, deep_copy, addWordSeparators, glob_to_regex, escape_regex, split_chars} from 'utilities/object';
 import {Color} from 'utilities/color';
 
 import Badges from './badges';
 import Emotes from './emotes';
 import Emoji from './emoji';
 import Overrides from './overrides';
+import Archive from './archive';
+import ModLog from './mod_log';
+import Translation from './translation';
+import EmoteUsage from './emote_usage';
+import CustomEffects from './custom_effects';
+import TermStats from './term_stats';
 
 import Room from './room';
 import User from './user';
@@ -78,6 +84,12 @@ export default class Chat extends Module {
 		this.inject(Emoji);
 		this.inject(Actions);
 		this.inject(Overrides);
+		this.inject(Archive);
+		this.inject(ModLog);
+		this.inject(Translation);
+		this.inject(EmoteUsage);
+		this.inject(CustomEffects);
+		this.inject(TermStats);
 
 		this._link_info = {};
 
@@ -110,6 +122,10 @@ export default class Chat extends Module {
 		this.addHighlightReason('user', 'Highlight User');
 		this.addHighlightReason('badge', 'Highlight Badge');
 		this.addHighlightReason('term', 'Highlight Term');
+		this.addHighlightReason('spam', 'Spam Detection');
+
+		// Recent messages in each room, for spam detection.
+		this.spam_windows = new Map;
 
 		// ========================================================================
 		// Settings
@@ -300,6 +316,101 @@ export default class Chat extends Module {
 			}
 		});
 
+		this.settings.add('chat.filtering.spam.behavior', {
+			default: 0,
+			ui: {
+				path: 'Chat > Filtering > Spam @{"description": "Spam detection looks for messages that are nearly the same as other recent messages in the same channel, such as copypastas during a raid, as well as messages with excessive character repetition or that are mostly capital letters and symbols. Messages from moderators and the broadcaster are never treated as spam."} >> Behavior',
+				title: 'Spam Messages',
+				component: 'setting-select-box',
+				data: [
+					{value: 0, title: 'Disabled'},
+					{value: 1, title: 'Highlight'},
+					{value: 2, title: 'Collapse (Mark as Deleted)'},
+					{value: 3, title: 'Hide'}
+				]
+			}
+		});
+
+		this.settings.add('chat.filtering.spam.color', {
+			default: '',
+			ui: {
+				path: 'Chat > Filtering > Spam >> Behavior',
+				title: 'Highlight Color',
+				description: 'The color used when highlighting spam messages. If this is not set, the default highlight color is used.',
+				component: 'setting-color-box'
+			}
+		});
+
+		this.settings.add('chat.filtering.spam.priority', {
+			default: 0,
+			ui: {
+				path: 'Chat > Filtering > Spam >> Behavior',
+				title: 'Highlight Priority',
+				component: 'setting-text-box',
+				process: 'to_int'
+			}
+		});
+
+		this.settings.add('chat.filtering.spam.window', {
+			default: 50,
+			ui: {
+				path: 'Chat > Filtering > Spam >> Detection',
+				title: 'Recent Messages',
+				description: 'How many recent messages in each channel to compare new messages against.',
+				component: 'setting-text-box',
+				process: 'to_int',
+				bounds: [1, 500]
+			}
+		});
+
+		this.settings.add('chat.filtering.spam.similarity', {
+			default: 80,
+			ui: {
+				path: 'Chat > Filtering > Spam >> Detection',
+				title: 'Similarity (%)',
+				description: 'How similar a message must be to a recent message to be treated as spam. Set this to 0 to not compare messages.',
+				component: 'setting-text-box',
+				process: 'to_int',
+				bounds: [0, 100]
+			}
+		});
+
+		this.settings.add('chat.filtering.spam.min-length', {
+			default: 15,
+			ui: {
+				path: 'Chat > Filtering > Spam >> Detection',
+				title: 'Minimum Length',
+				description: 'Messages shorter than this are not compared against recent messages or checked for capital letters, so that short reactions and emotes are not treated as spam.',
+				component: 'setting-text-box',
+				process: 'to_int',
+				bounds: [1]
+			}
+		});
+
+		this.settings.add('chat.filtering.spam.repetition', {
+			default: 12,
+			ui: {
+				path: 'Chat > Filtering > Spam >> Detection',
+				title: 'Repeated Characters',
+				description: 'Treat messages that repeat the same character at least this many times in a row as spam. Set this to 0 to disable.',
+				component: 'setting-text-box',
+				process: 'to_int',
+				bounds: [0]
+			}
+		});
+
+		this.settings.add('chat.filtering.spam.caps', {
+			default: 80,
+			ui: {
+				path: 'Chat > Filtering > Spam >> Detection',
+				title: 'Capital Letters and Symbols (%)',
+				description: 'Treat messages where at least this much of the text is capital letters or symbols as spam. Set this to 0 to disable.',
+				component: 'setting-text-box',
+				process: 'to_int',
+				bounds: [0, 100]
+			}
+		});
+
 		this.settings.addUI('chat.filtering.pad-bottom', {
 			path: 'Chat > Filtering > Highlight',
 			sort: 1000,
@@ -451,6 +562,52 @@ export default class Chat extends Module {
 			}
 		});
 
+		this.settings.add('chat.delay.adaptive', {
+			default: false,
+			ui: {
+				path: 'Chat > Behavior >> Adaptive Delay',
+				title: 'Only delay messages that match the rules below.',
+				description: 'When enabled, the Artificial Chat Delay is only applied to risky messages, such as those containing links, and all other messages are shown immediately. Delayed messages are also released early if they are removed by a moderator, or if a moderator takes action on their sender.',
+				component: 'setting-check-box'
+			}
+		});
+
+		this.settings.add('chat.delay.rules', {
+			default: [
+				{v: {
+					type: 'Or',
+					data: [
+						{type: 'HasLink', data: true},
+						{type: 'FirstMessage', data: true},
+						{type: 'AnyBadge', data: false}
+					]
+				}}
+			],
+
+			process(ctx, val) {
+				if ( ! Array.isArray(val) )
+					return [];
+
+				return val.filter(x => x?.v).map(x => x.v);
+			},
+
+			ui: {
+				path: 'Chat > Behavior >> Adaptive Delay',
+				component: 'setting-filter-editor',
+				data: () => deep_copy(this.actions.filters)
+			}
+		});
+
+		this.settings.add('chat.merge-repeated', {
+			default: false,
+			ui: {
+				path: 'Chat > Behavior >> General',
+				title: 'Merge repeated messages into a single line.',
+				description: 'When several identical messages are sent in a row, such as during an emote combo, only the first is displayed along with a count of how many times it was sent. Hover over the count to see who sent it, and click it to show every message.',
+				component: 'setting-check-box'
+			}
+		});
+
 		this.settings.add('chat.filtering.hidden-tokens', {
 			default: [],
 			type: 'array_merge',
@@ -691,7 +848,9 @@ export default class Chat extends Module {
 				component: 'basic-terms',
 				colored: true,
 				priority: true,
-				highlight: true
+				highlight: true,
+				stats: 'highlight',
+				getTermStats: () => this.term_stats
 			}
 		});
 
@@ -822,7 +981,9 @@ export default class Chat extends Module {
 			ui: {
 				path: 'Chat > Filtering > Block >> Terms @{"description": "Please see [Chat > Filtering > Syntax Help](~) for details on how to use terms."}',
 				component: 'basic-terms',
-				removable: true
+				removable: true,
+				stats: 'block',
+				getTermStats: () => this.term_stats
 			}
 		});
 
@@ -872,6 +1033,12 @@ export default class Chat extends Module {
 					if ( ! v || ! v.length )
 						continue;
 
+					try {
+						new RegExp(v);
+					} catch(err) {
+						continue;
+					}
+
 					if ( item.remove )
 						had_remove = true;
 					else
@@ -1264,6 +1431,12 @@ export default class Chat extends Module {
 			if ( has(LINK_PROVIDERS, key) )
 				this.addLinkProvider(LINK_PROVIDERS[key]);
 
+		// Forget recent messages for spam detection when leaving a room.
+		this.on(':room-remove', room => {
+			this.spam_windows.delete(room.login);
+			this.spam_windows.delete(room.id);
+		});
+
 		this.on('chat:reload-data', flags => {
 			for(const room of this.iterateRooms())
 				room.load_data();
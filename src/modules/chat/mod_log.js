@@ -0,0 +1,190 @@
+'use strict';
+
+// ============================================================================
+// Moderation Log
+// ============================================================================
+
+import Module from 'utilities/module';
+import {deep_copy} from 'utilities/object';
+
+// This is listed in NO_SYNC_KEYS, so the log stays in this browser.
+const STORAGE_KEY = 'mod-log';
+
+// The command that reverses each logged action, if there is one.
+export const UNDO_ACTIONS = {
+	ban: 'unban',
+	timeout: 'untimeout',
+	mod: 'unmod'
+};
+
+
+export default class ModLog extends Module {
+	constructor(...args) {
+		super(...args);
+
+		this.inject('settings');
+
+		this.log_cache = null;
+
+		this.settings.add('chat.mod-log.enabled', {
+			default: true,
+			ui: {
+				path: 'Chat > Actions > Moderation Log >> General',
+				title: 'Keep a log of moderation actions taken with chat actions.',
+				description: 'When enabled, every ban, timeout, message deletion and mod you perform using FrankerFaceZ chat actions is saved in your browser so that you can review it and undo mistakes.',
+				component: 'setting-check-box'
+			}
+		});
+
+		this.settings.add('chat.mod-log.max-entries', {
+			default: 250,
+			ui: {
+				path: 'Chat > Actions > Moderation Log >> General',
+				title: 'Maximum Entries per Channel',
+				description: 'Only keep up to this many of the most recent actions for each channel.',
+				component: 'setting-text-box',
+				process: 'to_int',
+				bounds: [1]
+			}
+		});
+
+		this.settings.addUI('chat.mod-log.entries', {
+			path: 'Chat > Actions > Moderation Log >> Log @{"profile_warning": false}',
+			component: 'chat-mod-log',
+			force_seen: true,
+
+			on: (...args) => this.on(...args),
+			off: (...args) => this.off(...args),
+
+			getRooms: () => this.getRooms(),
+			getEntries: room => this.getEntries(room),
+			undo: (room, id) => this.undo(room, id),
+			clear: room => this.clear(room)
+		});
+	}
+
+	onEnable() {
+		this.settings.provider.on('changed', this.onProviderChange, this);
+	}
+
+
+	onProviderChange(key) {
+		if ( key === STORAGE_KEY ) {
+			this.log_cache = null;
+			this.emit(':changed');
+		}
+	}
+
+
+	get entries() {
+		if ( ! this.log_cache )
+			this.log_cache = this.settings.provider.get(STORAGE_KEY, {});
+
+		return this.log_cache;
+	}
+
+
+	save() {
+		this.settings.provider.set(STORAGE_KEY, this.entries);
+		this.emit(':changed');
+	}
+
+
+	/**
+	 * Record a moderation action taken by the local user.
+	 *
+	 * @param {String} action The type of action. One of `ban`, `timeout`,
+	 * `msg_delete` or `mod`.
+	 * @param {Object} data The action data passed to the action's click handler.
+	 * @param {Object} [extra] Extra information, such as the `duration`
+	 * of a timeout or the `reason` for a ban.
+	 * @returns {Object|null} The new entry, or `null` if nothing was logged.
+	 */
+	record(action, data, extra) {
+		const room = data?.room?.login;
+		if ( ! room || ! this.parent.context.get('chat.mod-log.enabled') )
+			return null;
+
+		const user = data.user,
+			message = data.message,
+			entries = this.entries[room] = this.entries[room] || [];
+
+		const entry = Object.assign({
+			id: `${Date.now()}-${Math.floor(Math.random() * 1e6)}`,
+			action,
+			time: Date.now(),
+			room_id: data.room.id || null,
+			user: user ? {
+				id: user.id,
+				login: user.login,
+				displayName: user.displayName
+			} : null,
+			message: message && (message.id || message.text) ? {
+				id: message.id || data.message_id || null,
+				text: message.text || null
+			} : null
+		}, extra);
+
+		if ( entry.reason != null && ! entry.reason.length )
+			entry.reason = null;
+
+		entries.push(entry);
+
+		const max = this.parent.context.get('chat.mod-log.max-entries');
+		if ( max > 0 && entries.length > max )
+			entries.splice(0, entries.length - max);
+
+		this.save();
+		return entry;
+	}
+
+
+	getRooms() {
+		return Object.keys(this.entries).filter(room => this.entries[room]?.length).sort();
+	}
+
+
+	/**
+	 * Get the logged actions for a room, most recent first.
+	 *
+	 * @param {String} room The login of the room.
+	 * @returns {Object[]} A copy of the log entries.
+	 */
+	getEntries(room) {
+		const entries = this.entries[room];
+		return entries ? deep_copy(entries).reverse() : [];
+	}
+
+
+	/**
+	 * Reverse a logged action by sending the matching command, such as
+	 * `/unban` for a ban, to the room it was taken in.
+	 *
+	 * @param {String} room The login of the room.
+	 * @param {String} id The id of the log entry.
+	 * @returns {Boolean} Whether or not the action was reversed.
+	 */
+	undo(room, id) {
+		const entry = this.entries[room]?.find(x => x.id === id),
+			command = entry && UNDO_ACTIONS[entry.action];
+
+		if ( ! command || ! entry.user || entry.undone )
+			return false;
+
+		this.resolve('chat.actions').sendMessage(room, `/${command} ${entry.user.login}`);
+
+		entry.undone = Date.now();
+		this.save();
+		return true;
+	}
+
+
+	clear(room) {
+		if ( room )
+			delete this.entries[room];
+		else
+			this.log_cache = {};
+
+		this.save();
+	}
+}
@@ -14,9 +14,11 @@ export default class Overrides extends Module {
 		super(...args);
 
 		this.inject('settings');
+		this.inject('tooltips');
 
 		this.color_cache = null;
 		this.name_cache = null;
+		this.note_cache = null;
 
 		/*this.settings.addUI('chat.overrides', {
 			path: 'Chat > Overrides @{"profile_warning": false}',
@@ -37,9 +39,29 @@ export default class Overrides extends Module {
 
 	onEnable() {
 		this.settings.provider.on('changed', this.onProviderChange, this);
+
+		this.tooltips.types['user-note'] = target => {
+			const id = target?.dataset?.userId,
+				note = id && this.getNote(id);
+
+			return note || null;
+		};
 	}
 
-	renderUserEditor(user, target) {
+	renderNote(user, createElement) {
+		const note = user && this.getNote(user.id);
+		if ( ! note )
+			return null;
+
+		return createElement('span', {
+			key: 'ffz-user-note',
+			className: 'ffz-tooltip ffz--user-note ffz-i-doc-text',
+			'data-tooltip-type': 'user-note',
+			'data-user-id': user.id
+		});
+	}
+
+	renderUserEditor(user, target, focus) {
 		let outside, popup, ve;
 
 		const destroy = () => {
@@ -98,12 +120,16 @@ export default class Overrides extends Module {
 
 						name: this.getName(user.id),
 						color: this.getColor(user.id),
+						note: this.getNote(user.id),
+						focus,
 
 						updateTip: () => tip.update(),
 						setColor: val => this.setColor(user.id, val),
 						deleteColor: () => this.deleteColor(user.id),
 						setName: val => this.setName(user.id, val),
 						deleteName: () => this.deleteName(user.id),
+						setNote: val => this.setNote(user.id, val),
+						deleteNote: () => this.deleteNote(user.id),
 
 						close: () => tip.hide()
 					})
@@ -139,6 +165,8 @@ export default class Overrides extends Module {
 			this.loadColors();
 		else if ( key === 'overrides.names' )
 			this.loadNames();
+		else if ( key === 'overrides.notes' )
+			this.loadNotes();
 	}
 
 	get colors() {
@@ -155,6 +183,13 @@ export default class Overrides extends Module {
 		return this.name_cache;
 	}
 
+	get notes() {
+		if ( ! this.note_cache )
+			this.loadNotes();
+
+		return this.note_cache;
+	}
+
 	loadColors() {
 		let old_keys,
 			loaded = true;
@@ -207,6 +242,32 @@ export default class Overrides extends Module {
 		}
 	}
 
+	loadNotes() {
+		let old_keys,
+			loaded = true;
+		if ( ! this.note_cache ) {
+			loaded = false;
+			this.note_cache = {};
+			old_keys = new Set;
+		} else
+			old_keys = new Set(Object.keys(this.note_cache));
+
+		for(const [key, val] of Object.entries(this.settings.provider.get('overrides.notes', {}))) {
+			old_keys.delete(key);
+			if ( this.note_cache[key] !== val ) {
+				this.note_cache[key] = val;
+				if ( loaded )
+					this.emit(':changed', key, 'note', val);
+			}
+		}
+
+		for(const key of old_keys) {
+			this.note_cache[key] = undefined;
+			if ( loaded )
+				this.emit(':changed', key, 'note', undefined);
+		}
+	}
+
 	getColor(id) {
 		if ( this.colors[id] != null )
 			return this.colors[id];
@@ -221,6 +282,13 @@ export default class Overrides extends Module {
 		return null;
 	}
 
+	getNote(id) {
+		if ( this.notes[id] != null )
+			return this.notes[id];
+
+		return null;
+	}
+
 	setColor(id, color) {
 		if ( this.colors[id] !== color ) {
 			this.colors[id] = color;
@@ -237,6 +305,14 @@ export default class Overrides extends Module {
 		}
 	}
 
+	setNote(id, note) {
+		if ( this.notes[id] !== note ) {
+			this.notes[id] = note;
+			this.settings.provider.set('overrides.notes', this.notes);
+			this.emit(':changed', id, 'note', note);
+		}
+	}
+
 	deleteColor(id) {
 		this.setColor(id, undefined);
 	}
@@ -244,4 +320,8 @@ export default class Overrides extends Module {
 	deleteName(id) {
 		this.setName(id, undefined);
 	}
+
+	deleteNote(id) {
+		this.setNote(id, undefined);
+	}
 }
\ No newline at end of file
@@ -0,0 +1,285 @@
+'use strict';
+
+// ============================================================================
+// Term Statistics
+// ============================================================================
+
+import Module from 'utilities/module';
+import {has, addWordSeparators, glob_to_regex, escape_regex} from 'utilities/object';
+
+const TERM_LISTS = {
+	highlight: 'chat.filtering.highlight-basic-terms',
+	block: 'chat.filtering.highlight-basic-blocked'
+};
+
+const UPDATE_DELAY = 1000;
+
+let safety = null;
+
+
+/**
+ * Get a key uniquely identifying a term, regardless of which profile
+ * it is stored in.
+ *
+ * @param {Object} term The term.
+ * @returns {String} The key.
+ */
+export function getTermKey(term) {
+	if ( ! term )
+		return null;
+
+	// The settings UI rewrites `raw` to `regex`, so treat them the same.
+	const word = has(term, 'w') ? term.w : term.t !== 'raw',
+		type = term.t === 'raw' ? 'regex' : term.t;
+
+	return `${type}:${term.s ? 1 : 0}${word ? 1 : 0}:${term.v}`;
+}
+
+
+/**
+ * Compile a single term into a regular expression, using the same rules as
+ * the `__filter:highlight-terms` and `__filter:block-terms` processors.
+ *
+ * @param {Object} term The term to compile.
+ * @returns {Object} An object with the compiled `regex`, or a `rejected`
+ * reason if the term cannot be used.
+ */
+export function compileTerm(term) {
+	const t = term.t,
+		word = has(term, 'w') ? term.w : t !== 'raw';
+
+	let v = term.v;
+
+	if ( t === 'glob' )
+		v = glob_to_regex(v);
+
+	else if ( t !== 'regex' && t !== 'raw' )
+		v = escape_regex(v);
+
+	if ( ! v || ! v.length )
+		return {rejected: 'empty'};
+
+	if ( word )
+		v = addWordSeparators(v);
+
+	let regex;
+	try {
+		regex = new RegExp(v, term.s ? '' : 'i');
+	} catch(err) {
+		return {rejected: 'invalid'};
+	}
+
+	return {
+		regex,
+		unsafe: safety ? ! safety(v) : false
+	};
+}
+
+
+export default class TermStats extends Module {
+	constructor(...args) {
+		super(...args);
+
+		this.inject('settings');
+		this.inject('i18n');
+
+		this.active = false;
+		this.started = null;
+		this.messages = 0;
+		this.stats = new Map;
+
+		this._compiled = null;
+		this._counted = new WeakSet;
+		this._update_timer = null;
+
+		this.tokenizer = {
+			type: 'term_matches',
+			priority: 1001,
+
+			render(token, createElement) {
+				return (<div class="ffz-pill tw-mg-l-1 ffz--term-matches">
+					{ token.matches.join(', ') }
+				</div>);
+			},
+
+			process: (tokens, msg) => this.processMessage(tokens, msg)
+		};
+	}
+
+	onEnable() {
+		for(const setting of Object.values(TERM_LISTS))
+			this.parent.context.on(`changed:${setting}`, this.clearCompiled, this);
+	}
+
+
+	// ========================================================================
+	// Live Mode
+	// ========================================================================
+
+	async start() {
+		if ( this.active )
+			return;
+
+		if ( ! safety )
+			safety = (await import(/* webpackChunkName: 'regex' */ 'safe-regex')).default;
+
+		this.active = true;
+		this.clearCompiled();
+		this.reset();
+
+		this.parent.addTokenizer(this.tokenizer);
+		this.emit('chat:update-lines');
+		this.emit(':updated');
+	}
+
+	stop() {
+		if ( ! this.active )
+			return;
+
+		this.active = false;
+		this._compiled = null;
+
+		this.parent.removeTokenizer(this.tokenizer);
+		this.emit('chat:update-lines');
+		this.emit(':updated');
+	}
+
+	reset() {
+		this.started = Date.now();
+		this.messages = 0;
+		this.stats = new Map;
+		this._counted = new WeakSet;
+
+		this.emit(':updated');
+	}
+
+	clearCompiled() {
+		this._compiled = null;
+		this.scheduleUpdate();
+	}
+
+	scheduleUpdate() {
+		if ( ! this._update_timer )
+			this._update_timer = setTimeout(() => {
+				this._update_timer = null;
+				this.emit(':updated');
+			}, UPDATE_DELAY);
+	}
+
+
+	// ========================================================================
+	// Matching
+	// ========================================================================
+
+	getCompiled() {
+		if ( this._compiled )
+			return this._compiled;
+
+		const out = this._compiled = [];
+
+		for(const [list, setting] of Object.entries(TERM_LISTS)) {
+			const terms = this.parent.context.get(setting);
+			if ( ! Array.isArray(terms) )
+				continue;
+
+			for(const term of terms) {
+				if ( ! term || term.t === 'inherit' || ! term.v )
+					continue;
+
+				const compiled = compileTerm(term);
+				if ( ! compiled.regex )
+					continue;
+
+				out.push({
+					list,
+					key: getTermKey(term),
+					term,
+					regex: compiled.regex
+				});
+			}
+		}
+
+		return out;
+	}
+
+	/**
+	 * Test a message against every term individually, recording statistics
+	 * and the rules that matched. This runs as a tokenizer before the
+	 * highlight and block tokenizers so that removed messages are still
+	 * counted.
+	 *
+	 * @param {Object[]} tokens The message's tokens.
+	 * @param {Object} msg The message.
+	 * @returns {Object[]} The tokens.
+	 */
+	processMessage(tokens, msg) {
+		if ( ! this.active || ! tokens || ! tokens.length || ! msg.message )
+			return;
+
+		const count = ! this._counted.has(msg),
+			matches = [];
+
+		if ( count ) {
+			this._counted.add(msg);
+			this.messages++;
+		}
+
+		for(const entry of this.getCompiled()) {
+			if ( ! entry.regex.test(msg.message) )
+				continue;
+
+			matches.push(entry.list === 'block' ?
+				this.i18n.t('chat.filtering.term-stats.blocked-by', 'Block: {term}', {term: entry.term.v}) :
+				this.i18n.t('chat.filtering.term-stats.highlighted-by', 'Highlight: {term}', {term: entry.term.v})
+			);
+
+			if ( count ) {
+				const stat_key = `${entry.list}:${entry.key}`;
+				let stat = this.stats.get(stat_key);
+				if ( ! stat )
+					this.stats.set(stat_key, stat = {count: 0, last: null, sample: null});
+
+				stat.count++;
+				stat.last = Date.now();
+				stat.sample = msg.message;
+			}
+		}
+
+		if ( count )
+			this.scheduleUpdate();
+
+		if ( matches.length )
+			tokens.push({
+				type: 'term_matches',
+				matches
+			});
+
+		return tokens;
+	}
+
+
+	/**
+	 * Get the live statistics for a term.
+	 *
+	 * @param {String} list Either `highlight` or `block`.
+	 * @param {Object} term The term.
+	 * @returns {Object} The statistics for the term, or `null` if live
+	 * mode is not active.
+	 */
+	getStats(list, term) {
+		if ( ! this.active || ! term )
+			return null;
+
+		const compiled = term.v ? compileTerm(term) : {rejected: 'empty'},
+			stat = this.stats.get(`${list}:${getTermKey(term)}`);
+
+		return {
+			messages: this.messages,
+			count: stat ? stat.count : 0,
+			last: stat ? stat.last : null,
+			sample: stat ? stat.sample : null,
+			rejected: compiled.rejected || null,
+			unsafe: compiled.unsafe || false
+		};
+	}
+}
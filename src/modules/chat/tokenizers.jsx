@@ -768,6 +768,173 @@ export const BlockedTerms = {
 }
 
 
+// ============================================================================
+// Spam Detection
+// ============================================================================
+
+function getTrigrams(text) {
+	const out = new Set;
+	if ( text.length < 3 ) {
+		out.add(text);
+		return out;
+	}
+
+	for(let i = 0; i <= text.length - 3; i++)
+		out.add(text.slice(i, i + 3));
+
+	return out;
+}
+
+// The Sørensen–Dice coefficient of two sets of trigrams, from 0 to 1.
+function getSimilarity(first, second) {
+	if ( ! first.size || ! second.size )
+		return 0;
+
+	const [small, large] = first.size < second.size ? [first, second] : [second, first];
+	let shared = 0;
+	for(const gram of small)
+		if ( large.has(gram) )
+			shared++;
+
+	return (2 * shared) / (first.size + second.size);
+}
+
+function getLongestRun(text) {
+	let longest = 0,
+		length = 0,
+		last = null;
+
+	for(const char of text) {
+		if ( char === last )
+			length++;
+		else {
+			last = char;
+			length = 1;
+		}
+
+		if ( length > longest )
+			longest = length;
+	}
+
+	return longest;
+}
+
+function getCapsRatio(text) {
+	let total = 0,
+		loud = 0;
+
+	for(const char of text) {
+		if ( /\s/.test(char) )
+			continue;
+
+		total++;
+		const lower = char.toLowerCase(),
+			upper = char.toUpperCase();
+
+		// Uppercase letters, and anything that isn't a letter or a number.
+		if ( lower !== upper ? char === upper : ! /\d/.test(char) )
+			loud++;
+	}
+
+	return total ? loud / total : 0;
+}
+
+export const SpamDetection = {
+	type: 'spam',
+	priority: 98,
+
+	process(tokens, msg, user, haltable) {
+		// Clear the result of any earlier pass, in case settings changed.
+		msg.ffz_spam = null;
+
+		const behavior = this.context.get('chat.filtering.spam.behavior');
+		if ( ! behavior || ! msg.user || typeof msg.message !== 'string' )
+			return;
+
+		if ( user && user.login && user.login == msg.user.login && ! this.context.get('chat.filtering.process-own') )
+			return;
+
+		if ( msg.badges && (msg.badges.broadcaster || msg.badges.moderator) )
+			return;
+
+		const text = msg.message.toLowerCase().replace(/\s+/g, ' ').trim(),
+			is_long = text.length >= this.context.get('chat.filtering.spam.min-length'),
+			reasons = [];
+
+		const repetition = this.context.get('chat.filtering.spam.repetition');
+		if ( repetition > 0 && getLongestRun(msg.message) >= repetition )
+			reasons.push('repetition');
+
+		const caps = this.context.get('chat.filtering.spam.caps');
+		if ( caps > 0 && is_long && getCapsRatio(msg.message) * 100 >= caps )
+			reasons.push('caps');
+
+		const similarity = this.context.get('chat.filtering.spam.similarity') / 100,
+			room = msg.roomLogin || msg.roomID;
+
+		// We keep a window of recent messages for each room. Messages can be
+		// tokenized more than once, so each message is only compared to the
+		// window the first time we see it, and we keep the result.
+		if ( similarity > 0 && is_long && room && msg.id ) {
+			if ( msg.ffz_spam_similarity == null ) {
+				let window = this.spam_windows.get(room);
+				if ( ! window )
+					this.spam_windows.set(room, window = []);
+
+				const grams = getTrigrams(text),
+					time = msg.timestamp || Date.now();
+
+				let best = 0;
+				for(const entry of window)
+					if ( entry.time <= time && entry.id !== msg.id ) {
+						const value = getSimilarity(grams, entry.grams);
+						if ( value > best )
+							best = value;
+					}
+
+				msg.ffz_spam_similarity = best;
+
+				// Don't add messages older than the window, or they would push
+				// out newer messages.
+				const newest = window[window.length - 1];
+				if ( ! newest || newest.time <= time ) {
+					window.push({id: msg.id, grams, time});
+
+					const size = this.context.get('chat.filtering.spam.window');
+					if ( window.length > size )
+						window.splice(0, window.length - size);
+				}
+			}
+
+			if ( msg.ffz_spam_similarity >= similarity )
+				reasons.push('similar');
+		}
+
+		if ( ! reasons.length )
+			return;
+
+		msg.ffz_spam = reasons;
+
+		if ( behavior === 3 ) {
+			msg.deleted = true;
+			msg.ffz_removed = true;
+			if ( haltable )
+				msg.ffz_halt_tokens = true;
+
+		} else if ( behavior === 2 )
+			msg.deleted = true;
+
+		else
+			this.applyHighlight(
+				msg,
+				this.context.get('chat.filtering.spam.priority'),
+				this.context.get('chat.filtering.spam.color') || null,
+				'spam'
+			);
+	}
+}
+
+
 // ============================================================================
 // AutoMod Filtering
 // ============================================================================
@@ -948,6 +1115,96 @@ export const AutomoddedTerms = {
 
 
 
+// ============================================================================
+// Translation
+// ============================================================================
+
+export const Translation = {
+	type: 'translation',
+	priority: -10,
+
+	render(token, createElement) {
+		if ( token.mode === 2 )
+			return (<div class="ffz--translation tw-c-text-alt-2 tw-font-size-7">
+				<span class="ffz-i-language" />
+				{ token.failed ?
+					this.i18n.t('chat.translation.error', 'This message could not be translated.') :
+					token.translation ?? this.i18n.t('chat.translation.loading', 'Translating...') }
+			</div>);
+
+		return (<span
+			class="ffz-tooltip ffz--translation-hover ffz--pointer-events ffz-i-language"
+			data-tooltip-type="translation"
+			data-text={token.text}
+			data-source={token.source}
+			data-target={token.target}
+		/>);
+	},
+
+	tooltip(target) {
+		const ds = target.dataset;
+
+		return this.translation.translate(ds.text, ds.source || null, ds.target).then(text => [
+			(<div class="tw-border-b tw-mg-b-05">{ // eslint-disable-line react/jsx-key
+				ds.source ?
+					this.i18n.t('chat.translation.from', 'Translated from {language}', {language: ds.source}) :
+					this.i18n.t('chat.translation.title', 'Translation')
+			}</div>),
+			text
+		]).catch(err => {
+			this.log.warn('Unable to translate message.', err);
+			return this.i18n.t('chat.translation.error', 'This message could not be translated.');
+		});
+	},
+
+	process(tokens, msg, user) {
+		const mode = this.context.get('chat.translation.mode');
+		if ( ! mode || ! tokens || ! tokens.length )
+			return;
+
+		if ( user && user.login && user.login == msg.user?.login )
+			return;
+
+		// Only translate plain text, leaving out emotes, links and mentions.
+		const text = tokens.filter(token => token.type === 'text').map(token => token.text).join('').trim();
+		if ( ! text.length )
+			return;
+
+		const translation = this.translation,
+			target = translation.getTarget(),
+			detected = translation.detectForeign(text, target);
+
+		if ( ! detected )
+			return;
+
+		const source = detected === true ? null : detected,
+			token = {
+				type: 'translation',
+				mode,
+				text,
+				source,
+				target,
+				translation: mode === 2 ? translation.getCached(text, source, target) : null,
+				failed: mode === 2 && translation.hasFailed(text, source, target)
+			};
+
+		// Update the line when the translation finishes, whether or not it
+		// was successful, so that it stops showing it's still translating.
+		if ( mode === 2 && token.translation == null && ! token.failed ) {
+			const update = () => this.emit('chat:update-lines-by-user', msg.user?.id, msg.user?.login, true, false);
+
+			translation.translate(text, source, target).then(update).catch(err => {
+				this.log.warn('Unable to translate message.', err);
+				update();
+			});
+		}
+
+		tokens.push(token);
+		return tokens;
+	}
+}
+
+
 // ============================================================================
 // Cheers
 // ============================================================================
@@ -1162,7 +1419,8 @@ const render_emote = (token, createElement, wrapped) => {
 				'data-hover-src': hoverSrc,
 				'data-hover-src-set': hoverSrcSet,
 				'data-modifiers': ml ? mods.map(x => x.id).join(' ') : null,
-				'data-modifier-info': ml ? JSON.stringify(mods.map(x => [x.set, x.id])) : null
+				'data-modifier-info': ml ? JSON.stringify(mods.map(x => [x.set, x.id])) : null,
+				'data-ffz-effect': token.ffz_effect
 			}
 		});
 
@@ -1339,6 +1597,7 @@ export const AddonEmotes = {
 				data-hover-src-set={hoverSrcSet}
 				data-modifiers={ml ? mods.map(x => x.id).join(' ') : null}
 				data-modifier-info={ml ? JSON.stringify(mods.map(x => [x.set, x.id])) : null}
+				data-ffz-effect={token.ffz_effect}
 				onClick={this.emotes.handleClick}
 			><div class="ffz-alt-text">{ token.text }</div></div>);
 		}
@@ -1363,6 +1622,7 @@ export const AddonEmotes = {
 				data-hover-src-set={hoverSrcSet}
 				data-modifiers={ml ? mods.map(x => x.id).join(' ') : null}
 				data-modifier-info={ml ? JSON.stringify(mods.map(x => [x.set, x.id])) : null}
+				data-ffz-effect={token.ffz_effect}
 				onClick={this.emotes.handleClick}
 			/>);
 
@@ -1805,6 +2065,46 @@ AddonEmotes.tooltip.delayHide = function(target) {
 }*/
 
 
+// ============================================================================
+// Custom Effects
+// ============================================================================
+
+export const CustomEffects = {
+	type: 'custom-effect',
+	priority: 5,
+
+	process(tokens) {
+		const effects = this.custom_effects;
+		if ( ! tokens || ! tokens.length || ! effects?.targets.length )
+			return;
+
+		// Emotes are only part of a combo when nothing but whitespace
+		// separates them.
+		let run = [];
+		const apply = () => {
+			const names = run.map(token => token.text);
+			for(let i = 0; i < run.length; i++) {
+				const effect = effects.getEffectFor(i ? names.slice(i) : names);
+				if ( effect )
+					run[i].ffz_effect = effect;
+			}
+
+			run = [];
+		}
+
+		for(const token of tokens) {
+			if ( token.type === 'emote' )
+				run.push(token);
+			else if ( token.type !== 'text' || token.text.trim().length )
+				apply();
+		}
+
+		apply();
+		return tokens;
+	}
+}
+
+
 // ============================================================================
 // Emoji
 // ============================================================================
@@ -0,0 +1,315 @@
+'use strict';
+
+// ============================================================================
+// Chat Translation
+// ============================================================================
+
+import Module from 'utilities/module';
+import {has} from 'utilities/object';
+
+import * as BACKENDS from './translation_backends';
+
+const MAX_CACHE = 500;
+
+// The characters of each writing system that we can recognize. Kana comes
+// before Han so that Japanese text, which mixes the two, is seen as Kana.
+const SCRIPTS = [
+	['Latin', /[a-z\u00c0-\u024f]/i],
+	['Cyrillic', /[\u0400-\u04ff]/],
+	['Greek', /[\u0370-\u03ff]/],
+	['Arabic', /[\u0600-\u06ff]/],
+	['Hebrew', /[\u0590-\u05ff]/],
+	['Thai', /[\u0e00-\u0e7f]/],
+	['Devanagari', /[\u0900-\u097f]/],
+	['Hangul', /[\u1100-\u11ff\u3130-\u318f\uac00-\ud7af]/],
+	['Kana', /[\u3040-\u30ff]/],
+	['Han', /[\u4e00-\u9fff]/]
+];
+
+// The writing system used by languages that don't use Latin.
+const LANGUAGE_SCRIPTS = {
+	ru: 'Cyrillic',
+	uk: 'Cyrillic',
+	bg: 'Cyrillic',
+	sr: 'Cyrillic',
+	el: 'Greek',
+	ar: 'Arabic',
+	fa: 'Arabic',
+	he: 'Hebrew',
+	th: 'Thai',
+	hi: 'Devanagari',
+	ko: 'Hangul',
+	ja: 'Kana',
+	zh: 'Han'
+};
+
+// The language we assume for a writing system that is only used by one.
+const SCRIPT_LANGUAGES = {
+	Greek: 'el',
+	Hebrew: 'he',
+	Thai: 'th',
+	Hangul: 'ko',
+	Kana: 'ja',
+	Han: 'zh'
+};
+
+
+/**
+ * Find the writing system used by most of the letters in a string.
+ *
+ * @param {String} text The text to check.
+ * @returns {String|null} The name of the writing system, or `null` if
+ * the text has no letters we recognize.
+ */
+export function detectScript(text) {
+	const counts = {};
+	let best = null,
+		has_kana = false;
+
+	for(const char of text)
+		for(const [script, regex] of SCRIPTS)
+			if ( regex.test(char) ) {
+				counts[script] = (counts[script] || 0) + 1;
+				if ( script === 'Kana' )
+					has_kana = true;
+
+				if ( ! best || counts[script] > counts[best] )
+					best = script;
+
+				break;
+			}
+
+	if ( best === 'Han' && has_kana )
+		return 'Kana';
+
+	return best;
+}
+
+
+function cacheKey(text, source, target) {
+	return `${source || ''}:${target}:${text}`;
+}
+
+
+export default class Translation extends Module {
+	constructor(...args) {
+		super(...args);
+
+		this.inject('settings');
+		this.inject('i18n');
+
+		this.backends = {};
+		this.cache = new Map;
+
+		this.settings.add('chat.translation.mode', {
+			default: 0,
+			ui: {
+				path: 'Chat > Translation >> General',
+				title: 'Translate Messages',
+				description: 'Offer translations of chat messages that appear to be written in a language other than yours.\n\nBy default, messages are only recognized as being in another language if they use a different writing system, such as Cyrillic or Hangul. Translation backends may be able to detect languages more accurately.',
+				component: 'setting-select-box',
+				data: [
+					{value: 0, title: 'Disabled'},
+					{value: 1, title: 'On Hover'},
+					{value: 2, title: 'Inline'}
+				]
+			}
+		});
+
+		this.settings.add('chat.translation.backend', {
+			default: 'mock',
+			ui: {
+				path: 'Chat > Translation >> General',
+				title: 'Backend',
+				description: 'The service used to translate messages. Add-ons can provide additional backends.',
+				component: 'setting-select-box',
+				data: () => Object.values(this.backends).map(backend => ({
+					value: backend.type,
+					title: backend.title,
+					i18n_key: backend.i18n
+				}))
+			},
+			changed: () => this.cache.clear()
+		});
+
+		this.settings.add('chat.translation.language', {
+			default: '',
+			ui: {
+				path: 'Chat > Translation >> General',
+				title: 'Target Language',
+				description: 'The language code to translate messages into, such as `en` or `pt-BR`. Leave this empty to use the language you have selected for FrankerFaceZ.',
+				component: 'setting-text-box'
+			},
+			changed: () => this.cache.clear()
+		});
+	}
+
+	onEnable() {
+		for(const key in BACKENDS)
+			if ( has(BACKENDS, key) )
+				this.addBackend(BACKENDS[key]);
+	}
+
+
+	// ========================================================================
+	// Backends
+	// ========================================================================
+
+	addBackend(backend) {
+		const type = backend.type;
+		if ( has(this.backends, type) ) {
+			this.log.warn(`Tried adding translation backend of type '${type}' when one was already present.`);
+			return;
+		}
+
+		this.backends[type] = backend;
+		this.cache.clear();
+		this.emit('chat:update-line-tokens');
+	}
+
+	removeBackend(backend) {
+		let type;
+		if ( typeof backend === 'string' ) type = backend;
+		else type = backend.type;
+
+		backend = this.backends[type];
+		if ( ! backend )
+			return null;
+
+		delete this.backends[type];
+		this.cache.clear();
+		this.emit('chat:update-line-tokens');
+
+		return backend;
+	}
+
+	getBackend() {
+		const type = this.parent.context.get('chat.translation.backend'),
+			backend = this.backends[type];
+
+		if ( backend )
+			return backend;
+
+		for(const key in this.backends)
+			if ( has(this.backends, key) )
+				return this.backends[key];
+
+		return null;
+	}
+
+
+	// ========================================================================
+	// Detection
+	// ========================================================================
+
+	getTarget() {
+		const lang = this.parent.context.get('chat.translation.language') || this.i18n.locale || 'en';
+		return lang.toLowerCase();
+	}
+
+
+	/**
+	 * Determine if a string is written in a language other than the
+	 * target language.
+	 *
+	 * @param {String} text The text to check.
+	 * @param {String} [target] The target language. Defaults to {@link getTarget}.
+	 * @returns {String|Boolean} The source language, `true` if the text
+	 * is in another language that could not be identified, or `false`
+	 * if the text is in the target language.
+	 */
+	detectForeign(text, target) {
+		if ( ! target )
+			target = this.getTarget();
+
+		const base = target.split('-')[0],
+			backend = this.getBackend();
+
+		if ( backend?.detect ) {
+			const lang = backend.detect(text);
+			if ( ! lang )
+				return false;
+
+			return lang.toLowerCase().split('-')[0] === base ? false : lang;
+		}
+
+		const script = detectScript(text);
+		if ( ! script || script === (LANGUAGE_SCRIPTS[base] || 'Latin') )
+			return false;
+
+		return SCRIPT_LANGUAGES[script] || true;
+	}
+
+
+	// ========================================================================
+	// Translation
+	// ========================================================================
+
+	/**
+	 * Get the translation of a string if it has already finished.
+	 *
+	 * @param {String} text The text.
+	 * @param {String} [source] The language of the text, if known.
+	 * @param {String} target The language to translate to.
+	 * @returns {String|null} The translated text, or `null`.
+	 */
+	getCached(text, source, target) {
+		const entry = this.cache.get(cacheKey(text, source, target));
+		return entry?.text ?? null;
+	}
+
+
+	/**
+	 * Check whether translating a string has already failed.
+	 *
+	 * @param {String} text The text.
+	 * @param {String} [source] The language of the text, if known.
+	 * @param {String} target The language to translate to.
+	 * @returns {Boolean} Whether or not the translation failed.
+	 */
+	hasFailed(text, source, target) {
+		return this.cache.get(cacheKey(text, source, target))?.failed ?? false;
+	}
+
+
+	/**
+	 * Translate a string with the selected backend. Results are cached,
+	 * including failures, so that the same text is not requested again.
+	 *
+	 * @param {String} text The text.
+	 * @param {String} [source] The language of the text, if known.
+	 * @param {String} target The language to translate to.
+	 * @returns {Promise<String>} The translated text.
+	 */
+	translate(text, source, target) {
+		const key = cacheKey(text, source, target);
+		let entry = this.cache.get(key);
+		if ( entry )
+			return entry.promise;
+
+		const backend = this.getBackend();
+		if ( ! backend )
+			return Promise.reject(new Error('No translation backend is available.'));
+
+		entry = {
+			text: null,
+			failed: false,
+			promise: Promise.resolve(backend.translate(text, source, target)).then(result => {
+				entry.text = typeof result === 'string' ? result : result?.text;
+				return entry.text;
+
+			}).catch(err => {
+				entry.failed = true;
+				throw err;
+			})
+		};
+
+		this.cache.set(key, entry);
+
+		// Maps keep their insertion order, so the first key is the oldest.
+		if ( this.cache.size > MAX_CACHE )
+			this.cache.delete(this.cache.keys().next().value);
+
+		return entry.promise;
+	}
+}
@@ -0,0 +1,28 @@
+'use strict';
+
+// ============================================================================
+// Translation Backends
+// ============================================================================
+
+// A backend needs a `type`, a `title` and a `translate(text, source, target)`
+// method that returns a Promise for the translated text. `source` is null
+// if the language of the text is not known. Backends may also provide a
+// synchronous `detect(text)` method that returns the language of the text,
+// in which case it is used rather than our script based detection.
+
+
+// ============================================================================
+// Testing
+// ============================================================================
+
+export const Mock = {
+	type: 'mock',
+	title: 'Testing (Does Not Translate)',
+	i18n: 'chat.translation.backend.mock',
+
+	translate(text, source, target) {
+		return new Promise(resolve => {
+			setTimeout(() => resolve(`[${source || '?'} → ${target}] ${text}`), 250);
+		});
+	}
+}
@@ -12,6 +12,9 @@ import GET_EMOTE from './twitch_data.gql';
 
 import Module from 'utilities/module';
 
+const HISTORY_KEY = 'emote-card.history';
+const HISTORY_SIZE = 12;
+
 function getEmoteTypeFromTwitchType(type) {
 	if ( type === 'SUBSCRIPTIONS' )
 		return EmoteTypes.Subscription;
@@ -52,6 +55,7 @@ export default class EmoteCard extends Module {
 		this.should_enable = true;
 
 		this.inject('i18n');
+		this.inject('settings');
 		this.inject('chat');
 		this.inject('chat.emotes');
 		this.inject('chat.emoji');
@@ -442,6 +446,133 @@ export default class EmoteCard extends Module {
 	}
 
 
+	/**
+	 * Find every loaded emote set that has an emote with the same name as
+	 * the given emote, or the same ID from the same source. This includes
+	 * the sets available to the current user, the sets of every loaded
+	 * room, and sub sets.
+	 *
+	 * @param {Object} emote The raw emote the card was opened for.
+	 * @param {Object} data The data returned by {@link loadData}.
+	 * @returns {Object[]} A list of matching emotes, with information on
+	 * where they can be used.
+	 */
+	getAvailability(emote, data) {
+		if ( ! data?.name || emote.provider === 'emoji' )
+			return [];
+
+		const me = this.site.getUser(),
+			channel_id = this.chat.context.get('context.channelID'),
+			channel_login = this.chat.context.get('context.channel'),
+			usable = new Set(this.emotes.getSetIDs(me?.id, me?.login, channel_id, channel_login)),
+			global = new Set(this.emotes.getGlobalSetIDs(me?.id, me?.login)),
+			candidates = new Set(usable),
+			rooms = new Map;
+
+		for(const room of this.chat.iterateRooms()) {
+			if ( ! room.login )
+				continue;
+
+			for(const set_id of this.emotes.getRoomSetIDs(me?.id, me?.login, room.id, room.login)) {
+				candidates.add(set_id);
+
+				let logins = rooms.get(set_id);
+				if ( ! logins )
+					rooms.set(set_id, logins = []);
+
+				if ( ! logins.includes(room.login) )
+					logins.push(room.login);
+			}
+		}
+
+		for(const [set_id] of this.emotes.getSubSetIDsWithSources())
+			candidates.add(set_id);
+
+		const out = [];
+
+		for(const set_id of candidates) {
+			const emote_set = this.emotes.emote_sets[set_id];
+			if ( ! emote_set?.emotes )
+				continue;
+
+			const source = emote_set.source || 'ffz',
+				same_source = source === data.fav_source;
+
+			for(const em of Object.values(emote_set.emotes)) {
+				if ( ! em || (em.name !== data.name && ! (same_source && String(em.id) === String(data.id))) )
+					continue;
+
+				out.push({
+					set_id,
+					id: em.id,
+					name: em.name,
+					src: em.animSrc ?? em.src,
+					srcSet: em.animSrcSet ?? em.srcSet,
+					width: em.width,
+					height: em.height,
+					source: emote_set.source_line || (`${emote_set.source || 'FFZ'} ${emote_set.title || 'Global Emotes'}`),
+					rooms: rooms.get(set_id) || [],
+					current: emote.provider === 'ffz' && String(emote.set) === String(set_id) && String(emote.id) === String(em.id),
+					usable: usable.has(set_id),
+					global: global.has(set_id)
+				});
+			}
+		}
+
+		// Emotes the user can use right now go first.
+		out.sort((a, b) => {
+			if ( a.usable !== b.usable )
+				return a.usable ? -1 : 1;
+
+			if ( a.global !== b.global )
+				return a.global ? -1 : 1;
+
+			return a.source.localeCompare(b.source);
+		});
+
+		return out;
+	}
+
+
+	getHistory() {
+		return this.settings.provider.get(HISTORY_KEY) || [];
+	}
+
+	/**
+	 * Remember that a card was opened for an emote, so that it can be
+	 * opened again later from the history list.
+	 *
+	 * @param {Object} emote The raw emote the card was opened for.
+	 * @param {Object} data The data returned by {@link loadData}.
+	 * @returns {void}
+	 */
+	addToHistory(emote, data) {
+		if ( ! emote || ! data )
+			return;
+
+		const history = this.getHistory().filter(entry => ! (entry.provider === emote.provider && entry.id === emote.id));
+
+		history.unshift({
+			provider: emote.provider,
+			id: emote.id,
+			set: emote.set,
+			code: emote.code,
+			variant: emote.variant,
+			name: data.name,
+			src: data.src,
+			srcSet: data.srcSet
+		});
+
+		this.settings.provider.set(HISTORY_KEY, history.slice(0, HISTORY_SIZE));
+		this.emit(':history-changed');
+	}
+
+	clearHistory() {
+		this.settings.provider.delete(HISTORY_KEY);
+		this.emit(':history-changed');
+	}
+
+
 	async openCard(emote, modifiers, event) {
 
 		const card_key = `${emote.provider}::${emote.id}::${modifiers ?? ''}`,
@@ -471,6 +602,10 @@ export default class EmoteCard extends Module {
 		// wait for Vue at the same time.
 		const data = this.loadData(emote);
 
+		data
+			.then(loaded => this.addToHistory(emote, loaded))
+			.catch(() => {});
+
 		// Now load vue.
 		await this.loadVue();
 
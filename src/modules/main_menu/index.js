@@ -66,6 +66,12 @@ export default class MainMenu extends Module {
 			getFFZ: () => this.resolve('core')
 		});
 
+		this.settings.addUI('history', {
+			path: 'Data Management > History @{"profile_warning": false}',
+			component: 'settings-history',
+			force_seen: true
+		});
+
 		this.settings.addUI('clear', {
 			path: 'Data Management > Storage @{"profile_warning": false} >> tabs ~> Clear',
 			component: 'clear-settings',
@@ -845,6 +851,8 @@ export default class MainMenu extends Module {
 			hotkey: profile.hotkey,
 			url: profile.url,
 			pause_updates: profile.pause_updates,
+			review_updates: profile.review_updates,
+			pending_update: profile.pending_update ? deep_copy(profile.pending_update.changes) : null,
 
 			move: idx => context.manager.moveProfile(profile.id, idx),
 			save: () => profile.save(),
@@ -856,6 +864,15 @@ export default class MainMenu extends Module {
 			toggle: () => profile.toggled = ! profile.toggled,
 			getBackup: () => deep_copy(profile.getBackup()),
 
+			diffValues: values => deep_copy(profile.diffValues(values)),
+			compareTo: id => {
+				const other = context.manager.__profile_ids[id];
+				return other ? deep_copy(profile.compareTo(other)) : null;
+			},
+			mergeValues: (values, keys) => profile.mergeValues(deep_copy(values), keys),
+			applyPendingUpdate: (keys, rules) => profile.applyPendingUpdate(keys, rules),
+			dismissPendingUpdate: () => profile.dismissPendingUpdate(),
+
 			context: deep_copy(profile.context),
 
 			get: key => profile.get(key),
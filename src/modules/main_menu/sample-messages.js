@@ -0,0 +1,207 @@
+'use strict';
+
+// ============================================================================
+// Sample Chat Messages
+// ============================================================================
+
+import {DEBUG, SERVER} from 'utilities/constants';
+import {getBuster} from 'utilities/time';
+
+import SAMPLES from './sample-chat-messages.json';
+
+// The chat message type that Twitch uses for each USERNOTICE msg-id.
+export const NOTICE_TYPES = {
+	sub: 'Subscription',
+	resub: 'Resubscription',
+	extendsub: 'ExtendSubscription',
+	subgift: 'SubGift',
+	anonsubgift: 'AnonSubGift',
+	submysterygift: 'SubMysteryGift',
+	anonsubmysterygift: 'AnonSubMysteryGift',
+	giftpaidupgrade: 'GiftPaidUpgrade',
+	anongiftpaidupgrade: 'AnonGiftPaidUpgrade',
+	primepaidupgrade: 'PrimePaidUpgrade',
+	standardpayforward: 'StandardPayForward',
+	communitypayforward: 'CommunityPayForward',
+	raid: 'Raid',
+	unraid: 'Unraid',
+	ritual: 'Ritual',
+	bitsbadgetier: 'BitsBadgeTierMessage',
+	announcement: 'AnnouncementMessage',
+	charitydonation: 'CharityDonation',
+	viewermilestone: 'ViewerMilestone'
+};
+
+const TAG_ESCAPES = {
+	':': ';',
+	s: ' ',
+	r: '\r',
+	n: '\n',
+	'\\': '\\'
+};
+
+let loader = null;
+
+
+/**
+ * Load the list of sample chat messages. In development, this is the
+ * copy bundled with the client. Otherwise, it is fetched from the server
+ * so that it can be updated without a new release.
+ *
+ * @returns {Promise<Object[]>} The samples, each with a `name` and `data`.
+ */
+export function loadSamples() {
+	if ( ! loader )
+		loader = fetch(DEBUG ? SAMPLES : `${SERVER}/script/sample-chat-messages.json?_=${getBuster()}`)
+			.then(r => r.ok ? r.json() : null)
+			.then(data => Array.isArray(data) ? data : [])
+			.catch(() => {
+				loader = null;
+				return [];
+			});
+
+	return loader;
+}
+
+
+/**
+ * Parse a raw IRC line from a sample.
+ *
+ * @param {String} line The raw line.
+ * @returns {Object|null} The `tags`, `command`, `channel` and `message` of
+ * the line, or `null` if it could not be parsed.
+ */
+export function parseSample(line) {
+	if ( typeof line !== 'string' || ! line.length )
+		return null;
+
+	const tags = {};
+	let rest = line;
+
+	if ( rest.startsWith('@') ) {
+		const idx = rest.indexOf(' ');
+		if ( idx === -1 )
+			return null;
+
+		for(const pair of rest.slice(1, idx).split(';')) {
+			const eq = pair.indexOf('='),
+				key = eq === -1 ? pair : pair.slice(0, eq),
+				value = eq === -1 ? '' : pair.slice(eq + 1);
+
+			tags[key] = value.replace(/\\(.)/g, (match, char) => TAG_ESCAPES[char] ?? char);
+		}
+
+		rest = rest.slice(idx + 1);
+	}
+
+	if ( rest.startsWith(':') ) {
+		const idx = rest.indexOf(' ');
+		rest = idx === -1 ? '' : rest.slice(idx + 1);
+	}
+
+	let message = null;
+	const trailing = rest.indexOf(' :');
+	if ( trailing !== -1 ) {
+		message = rest.slice(trailing + 2);
+		rest = rest.slice(0, trailing);
+	}
+
+	const params = rest.split(' '),
+		command = params[0],
+		channel = params[1]?.startsWith('#') ? params[1].slice(1) : null;
+
+	return {tags, command, channel, message};
+}
+
+
+function parseBadges(value) {
+	if ( ! value )
+		return null;
+
+	const out = {};
+	for(const pair of value.split(',')) {
+		const idx = pair.indexOf('/');
+		if ( idx !== -1 )
+			out[pair.slice(0, idx)] = pair.slice(idx + 1);
+	}
+
+	return out;
+}
+
+
+function parseEmotes(value) {
+	if ( ! value )
+		return null;
+
+	const out = {};
+	for(const entry of value.split('/')) {
+		const idx = entry.indexOf(':');
+		if ( idx === -1 )
+			continue;
+
+		const ranges = out[entry.slice(0, idx)] = [];
+		for(const range of entry.slice(idx + 1).split(',')) {
+			const [start, end] = range.split('-');
+			ranges.push({
+				startIndex: parseInt(start, 10),
+				endIndex: parseInt(end, 10)
+			});
+		}
+	}
+
+	return out;
+}
+
+
+/**
+ * Build previews of chat message types from a list of samples.
+ *
+ * @param {Object[]} samples The samples from {@link loadSamples}.
+ * @returns {Object} A map of message type names to a preview, with a
+ * `name`, `user`, `system` message and user `message`. Previews with a
+ * user message also have a `record` in the same format as the chat archive
+ * uses, so that the message can be rendered as a chat line.
+ */
+export function getTypePreviews(samples) {
+	const out = {};
+
+	for(const sample of samples) {
+		const lines = Array.isArray(sample.data) ? sample.data : String(sample.data).split(/\r?\n/g);
+
+		for(const line of lines) {
+			const parsed = parseSample(line),
+				type = parsed && parsed.command === 'USERNOTICE' && NOTICE_TYPES[parsed.tags['msg-id']];
+
+			// One example of each type is enough.
+			if ( ! type || out[type] )
+				continue;
+
+			const tags = parsed.tags;
+
+			out[type] = {
+				name: sample.name,
+				user: tags['display-name'] || tags.login || null,
+				system: tags['system-msg'] || null,
+				message: parsed.message,
+				record: parsed.message ? {
+					id: tags.id,
+					room: parsed.channel,
+					room_id: tags['room-id'] || null,
+					timestamp: parseInt(tags['tmi-sent-ts'], 10) || Date.now(),
+					user: {
+						id: tags['user-id'],
+						login: tags.login,
+						displayName: tags['display-name'],
+						color: tags.color || null
+					},
+					message: parsed.message,
+					is_action: false,
+					emotes: parseEmotes(tags.emotes),
+					badges: parseBadges(tags.badges)
+				} : null
+			};
+		}
+	}
+
+	return out;
+}
@@ -170,6 +170,160 @@ export const Time = {
 	editor: () => import(/* webpackChunkName: 'main-menu' */ './components/time.vue')
 }
 
+
+function parseDate(date) {
+	if ( typeof date !== 'string' || ! date.length )
+		return null;
+
+	const parts = date.split('-');
+	if ( parts.length !== 3 )
+		return null;
+
+	const year = parseInt(parts[0], 10),
+		month = parseInt(parts[1], 10),
+		day = parseInt(parts[2], 10);
+
+	if ( isNaN(year) || isNaN(month) || isNaN(day) )
+		return null;
+
+	return new Date(year, month - 1, day);
+}
+
+function formatDate(date) {
+	const month = `${date.getMonth() + 1}`.padStart(2, '0'),
+		day = `${date.getDate()}`.padStart(2, '0');
+
+	return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function startOfDay(date, offset = 0) {
+	return new Date(date.getFullYear(), date.getMonth(), date.getDate() + offset);
+}
+
+function capturedBoundaries(filter) {
+	const out = Array.from(filter._captured);
+	filter._captured = new Set;
+	out.sort((a, b) => a - b);
+	return out;
+}
+
+
+export const Weekday = {
+	_captured: new Set,
+
+	createTest(config) {
+		if ( ! Array.isArray(config) || ! config.length )
+			return () => false;
+
+		const days = new Set(config);
+
+		return () => {
+			const d = new Date;
+			Weekday._captured.add(startOfDay(d, 1).getTime());
+
+			return days.has(d.getDay());
+		}
+	},
+
+	boundaries: () => capturedBoundaries(Weekday),
+
+	title: 'Day of Week',
+	i18n: 'settings.filter.weekday',
+
+	default: () => [1, 2, 3, 4, 5],
+
+	editor: () => import(/* webpackChunkName: 'main-menu' */ './components/weekday.vue')
+}
+
+export const DateRange = {
+	_captured: new Set,
+
+	createTest(config) {
+		const start = parseDate(config && config[0]),
+			end = parseDate(config && config[1]);
+
+		if ( ! start && ! end )
+			return () => false;
+
+		// The end date is inclusive, so the range ends at the
+		// start of the following day.
+		const start_ts = start ? start.getTime() : null,
+			end_ts = end ? startOfDay(end, 1).getTime() : null;
+
+		return () => {
+			if ( start_ts != null )
+				DateRange._captured.add(start_ts);
+			if ( end_ts != null )
+				DateRange._captured.add(end_ts);
+
+			const now = Date.now();
+			return (start_ts == null || now >= start_ts) && (end_ts == null || now < end_ts);
+		}
+	},
+
+	boundaries: () => capturedBoundaries(DateRange),
+
+	title: 'Date Range',
+	i18n: 'settings.filter.date-range',
+
+	default: () => {
+		const now = new Date;
+		return [formatDate(now), formatDate(startOfDay(now, 7))];
+	},
+
+	editor: () => import(/* webpackChunkName: 'main-menu' */ './components/date-range.vue')
+}
+
+export const Schedule = {
+	_captured: new Set,
+
+	createTest(config = {}) {
+		const start = parseTime(config.start),
+			end = parseTime(config.end);
+
+		if ( start == null || end == null || ! Array.isArray(config.days) || ! config.days.length )
+			return () => false;
+
+		const days = new Set(config.days);
+
+		return () => {
+			const d = new Date,
+				v = d.getHours() * 60 + d.getMinutes(),
+				today = startOfDay(d).getTime(),
+				tomorrow = startOfDay(d, 1).getTime();
+
+			// The window opens at the start time and closes
+			// after the end minute, on any day.
+			for(const base of [today, tomorrow]) {
+				Schedule._captured.add(base + start * 60000);
+				Schedule._captured.add(base + (end + 1) * 60000);
+			}
+
+			if ( start <= end )
+				return days.has(d.getDay()) && v >= start && v <= end;
+
+			// Overnight windows belong to the day that they start on.
+			if ( v >= start )
+				return days.has(d.getDay());
+
+			return v <= end && days.has((d.getDay() + 6) % 7);
+		}
+	},
+
+	boundaries: () => capturedBoundaries(Schedule),
+
+	title: 'Recurring Schedule',
+	i18n: 'settings.filter.schedule',
+
+	default: () => ({
+		days: [1, 2, 3, 4, 5],
+		start: '09:00',
+		end: '17:00'
+	}),
+
+	editor: () => import(/* webpackChunkName: 'main-menu' */ './components/schedule.vue')
+}
+
 export const TheaterMode = {
 	createTest(config) {
 		return ctx => ctx.ui && ctx.ui.theatreModeEnabled === config;
@@ -341,6 +495,102 @@ export const Category = {
 	editor: () => import(/* webpackChunkName: 'main-menu' */ './components/category.vue')
 }
 
+// Stream State
+
+function useStreamMeta() {
+	// Stream metadata is only fetched once a filter needs it.
+	const settings = FrankerFaceZ.get().resolve('settings');
+	if ( settings && ! settings.want_stream_meta ) {
+		settings.want_stream_meta = true;
+		settings.emit(':want-stream-meta');
+	}
+}
+
+export const Live = {
+	createTest(config) {
+		useStreamMeta();
+		return ctx => ctx.live != null && ctx.live === config;
+	},
+
+	title: 'Stream is Live',
+	i18n: 'settings.filter.live',
+
+	default: true,
+
+	editor: () => import(/* webpackChunkName: 'main-menu' */ './components/basic-toggle.vue')
+};
+
+export const Viewers = {
+	createTest(config = {}) {
+		const min = config.min,
+			max = config.max;
+
+		if ( min == null && max == null )
+			return () => false;
+
+		useStreamMeta();
+
+		return ctx => {
+			if ( ! ctx.live || ctx.viewers == null )
+				return false;
+
+			return (min == null || ctx.viewers >= min) && (max == null || ctx.viewers <= max);
+		}
+	},
+
+	title: 'Viewer Count',
+	i18n: 'settings.filter.viewers',
+
+	default: () => ({
+		min: 10000,
+		max: null
+	}),
+
+	editor: () => import(/* webpackChunkName: 'main-menu' */ './components/viewers.vue')
+};
+
+export const Uptime = {
+	_captured: new Set,
+
+	createTest(config = {}) {
+		const min = config.min,
+			max = config.max;
+
+		if ( min == null && max == null )
+			return () => false;
+
+		useStreamMeta();
+
+		return ctx => {
+			const started = ctx.live ? ctx.streamStarted : null;
+			if ( ! started )
+				return false;
+
+			// Minutes are converted to absolute times so that we can
+			// re-evaluate when the stream crosses a threshold.
+			if ( min != null )
+				Uptime._captured.add(started + min * 60000);
+			if ( max != null )
+				Uptime._captured.add(started + max * 60000);
+
+			const uptime = (Date.now() - started) / 60000;
+			return (min == null || uptime >= min) && (max == null || uptime < max);
+		}
+	},
+
+	boundaries: () => capturedBoundaries(Uptime),
+
+	title: 'Stream Uptime',
+	i18n: 'settings.filter.uptime',
+
+	default: () => ({
+		min: 0,
+		max: 60
+	}),
+
+	editor: () => import(/* webpackChunkName: 'main-menu' */ './components/uptime.vue')
+};
+
 export const Title = {
 	createTest(config = {}, _, reload) {
 		const mode = config.mode;
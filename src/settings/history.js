@@ -0,0 +1,217 @@
+'use strict';
+
+// ============================================================================
+// Settings History
+// ============================================================================
+
+import {EventEmitter} from 'utilities/events';
+import {deep_copy, deep_equals, has} from 'utilities/object';
+
+export const HISTORY_KEY = 'settings-history';
+
+// The journal shares storage with every other setting, so it is limited by
+// its serialized size as well as by its number of entries.
+const MAX_ENTRIES = 250,
+	MAX_SIZE = 256 * 1024,
+	SAVE_DELAY = 500,
+	MERGE_WINDOW = 2000;
+
+
+/**
+ * SettingsHistory keeps a bounded journal of changes made to profile
+ * values, stored in the active provider so that it survives reloads and
+ * is shared between tabs. It is used to revert individual changes, or to
+ * roll a profile back to an earlier moment.
+ *
+ * Every entry has a `key`, the `profile` id, a `time` stamp and the `old`
+ * and new `value`. Entries where the setting did not exist have `added`
+ * set, and entries where the setting was removed have `deleted` set.
+ *
+ * @extends EventEmitter
+ */
+export default class SettingsHistory extends EventEmitter {
+	constructor(manager) {
+		super();
+
+		this.manager = manager;
+		this.pending = [];
+		this._save_timer = null;
+		this._last_time = 0;
+
+		this.save = this.save.bind(this);
+	}
+
+	get provider() {
+		return this.manager.provider;
+	}
+
+
+	/**
+	 * Record a change to a profile's value.
+	 *
+	 * @param {SettingsProfile} profile The profile that changed.
+	 * @param {String} key The setting key.
+	 * @param {*} old The old value, or `undefined` if it was not set.
+	 * @param {*} value The new value, or `undefined` if it was deleted.
+	 * @returns {void}
+	 */
+	record(profile, key, old, value) {
+		if ( profile.ephemeral || deep_equals(old, value) )
+			return;
+
+		const now = Date.now(),
+			last = this.pending[this.pending.length - 1],
+			recent = now - this._last_time < MERGE_WINDOW;
+
+		this._last_time = now;
+
+		// Merge rapid changes to the same setting, such as when typing in
+		// a text box, into a single entry.
+		if ( recent && last && last.profile === profile.id && last.key === key ) {
+			last.value = deep_copy(value);
+			last.deleted = value === undefined;
+
+		} else
+			this.pending.push({
+				key,
+				profile: profile.id,
+				time: now,
+				old: deep_copy(old),
+				value: deep_copy(value),
+				added: old === undefined,
+				deleted: value === undefined
+			});
+
+		if ( ! this._save_timer )
+			this._save_timer = setTimeout(this.save, SAVE_DELAY);
+	}
+
+
+	save() {
+		if ( this._save_timer ) {
+			clearTimeout(this._save_timer);
+			this._save_timer = null;
+		}
+
+		if ( ! this.pending.length || ! this.provider )
+			return;
+
+		const entries = this.provider.get(HISTORY_KEY, []).concat(this.pending.filter(entry => ! deep_equals(entry.old, entry.value)));
+		this.pending = [];
+
+		if ( entries.length > MAX_ENTRIES )
+			entries.splice(0, entries.length - MAX_ENTRIES);
+
+		// Keep the newest entries that fit. An entry that is too big on its
+		// own is dropped, along with everything older than it.
+		let size = 0,
+			i = entries.length;
+
+		while ( i > 0 ) {
+			const entry_size = JSON.stringify(entries[i - 1]).length;
+			if ( size + entry_size > MAX_SIZE )
+				break;
+
+			size += entry_size;
+			i--;
+		}
+
+		if ( i > 0 )
+			entries.splice(0, i);
+
+		if ( entries.length )
+			this.provider.set(HISTORY_KEY, entries);
+		else
+			this.provider.delete(HISTORY_KEY);
+
+		this.emit('changed');
+	}
+
+
+	/**
+	 * Get every entry in the journal, oldest first.
+	 * @returns {Object[]} The entries.
+	 */
+	getEntries() {
+		this.save();
+
+		const entries = this.provider ? this.provider.get(HISTORY_KEY, []) : [];
+		return Array.isArray(entries) ? entries : [];
+	}
+
+
+	clear() {
+		this.pending = [];
+		if ( this.provider )
+			this.provider.delete(HISTORY_KEY);
+
+		this.emit('changed');
+	}
+
+
+	/**
+	 * Revert a single change, restoring the setting to the value it had
+	 * before the change.
+	 *
+	 * @param {Object} entry The journal entry to revert.
+	 * @returns {Boolean} Whether or not the change could be reverted.
+	 */
+	revert(entry) {
+		const profile = this.manager.profile(entry.profile);
+		if ( ! profile )
+			return false;
+
+		applyValue(profile, entry.key, entry.added ? undefined : entry.old);
+		return true;
+	}
+
+
+	/**
+	 * Roll a profile back to the state it had at a given time, undoing
+	 * every recorded change made to it after that time.
+	 *
+	 * @param {Number} profile_id The profile to roll back.
+	 * @param {Number} time The timestamp to roll back to.
+	 * @returns {Number} The number of settings that were changed.
+	 */
+	rollback(profile_id, time) {
+		const profile = this.manager.profile(profile_id);
+		if ( ! profile )
+			return 0;
+
+		const entries = this.getEntries(),
+			values = {};
+
+		// Walk backwards, so the oldest change after the target time
+		// determines the value we restore.
+		for(let i = entries.length - 1; i >= 0; i--) {
+			const entry = entries[i];
+			if ( entry.time > time && entry.profile === profile_id )
+				values[entry.key] = entry.added ? undefined : entry.old;
+		}
+
+		let count = 0;
+		for(const key in values)
+			if ( has(values, key) && applyValue(profile, key, values[key]) )
+				count++;
+
+		return count;
+	}
+}
+
+
+function applyValue(profile, key, value) {
+	if ( value === undefined ) {
+		if ( ! profile.has(key) )
+			return false;
+
+		profile.delete(key);
+		return true;
+	}
+
+	if ( profile.has(key) && deep_equals(profile.get(key), value) )
+		return false;
+
+	profile.set(key, deep_copy(value));
+	return true;
+}
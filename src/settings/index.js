@@ -11,6 +11,8 @@ import {parse as new_parse} from 'utilities/path-parser';
 import SettingsProfile from './profile';
 import SettingsContext from './context';
 import MigrationManager from './migration';
+import SettingsHistory, {HISTORY_KEY} from './history';
+import {validateSetting, DROP, COERCE} from './validation';
 
 import * as PROCESSORS from './processors';
 import * as VALIDATORS from './validators';
@@ -28,7 +30,9 @@ function postMessage(target, msg) {
 	}
 }
 
-export const NO_SYNC_KEYS = ['session'];
+// Keys that are local to this browser. These are not synced, and are left
+// out of backups. `mod-log` is the moderation log from `chat.mod_log`.
+export const NO_SYNC_KEYS = ['session', HISTORY_KEY, 'mod-log'];
 
 
 // ============================================================================
@@ -62,6 +66,9 @@ export default class SettingsManager extends Module {
 
 		this.updateSoon = debounce(() => this.updateRoutes(), 50, false);
 
+		this.invalid_values = [];
+		this.validateSoon = debounce(() => this.validateStoredValues(), 1000, false);
+
 		// Do we want to not enable any profiles?
 		try {
 			const params = new URL(window.location).searchParams;
@@ -133,6 +140,7 @@ export default class SettingsManager extends Module {
 		});
 
 		this.migrations = new MigrationManager(this);
+		this.history = new SettingsHistory(this);
 
 		// Also create the main context as early as possible.
 		this.main_context = new SettingsContext(this);
@@ -269,36 +277,60 @@ export default class SettingsManager extends Module {
 
 	updateClock() {
 		const captured = FILTERS?.Time?.captured?.();
-		if ( ! captured?.length )
+
+		// Filters with a `boundaries` method return the absolute times at
+		// which their result may change, such as the start of the next day.
+		let wait = null;
+		const now_ts = Date.now();
+
+		for(const filter of Object.values(this.filters))
+			if ( typeof filter?.boundaries === 'function' )
+				for(const value of filter.boundaries()) {
+					// Give the clock a moment to pass the boundary.
+					const delta = value - now_ts + 250;
+					if ( delta > 250 && (wait == null || delta < wait) )
+						wait = delta;
+				}
+
+		if ( ! captured?.length && wait == null )
 			return;
 
 		if ( this._time_timer )
 			clearTimeout(this._time_timer);
 
-		const d = new Date,
-			now = d.getHours() * 60 + d.getMinutes();
+		if ( captured?.length ) {
+			const d = new Date,
+				now = d.getHours() * 60 + d.getMinutes();
 
-		let next = this._time_next != null ? this._time_next : null;
-		for(const value of captured) {
-			if ( value <= now )
-				continue;
+			let next = this._time_next != null ? this._time_next : null;
+			for(const value of captured) {
+				if ( value <= now )
+					continue;
+
+				if ( next == null || value < next )
+					next = value;
+			}
+
+			// There's no time waiting for today. Skip to the next day.
+			if ( next == null )
+				next = captured[0] + 1440;
 
-			if ( next == null || value < next )
-				next = value;
+			// Determine how long it'll take to reach the next time period.
+			const delta = (next - now) * 60 * 1000 - 59750 + (60000 - Date.now() % 60000);
+			if ( wait == null || delta < wait )
+				wait = delta;
 		}
 
-		// There's no time waiting for today. Skip to the next day.
-		if ( next == null )
-			next = captured[0] + 1440;
+		// Timers can't wait longer than ~24 days, so check back daily
+		// for boundaries that are far in the future.
+		wait = Math.min(wait, 86400000);
 
-		// Determine how long it'll take to reach the next time period.
-		const delta = (next - now) * 60 * 1000 - 59750 + (60000 - Date.now() % 60000);
 		this._time_timer = setTimeout(() => {
 			for(const context of this.__contexts)
 				context.selectProfiles();
 
 			this.updateClock();
-		}, delta);
+		}, wait);
 	}
 
 
@@ -499,12 +531,104 @@ export default class SettingsManager extends Module {
 		};
 
 		for(const [k, v] of this.provider.entries())
-			out.values[k] = v;
+			if ( ! NO_SYNC_KEYS.includes(k) )
+				out.values[k] = v;
 
 		return out;
 	}
 
 
+	// ========================================================================
+	// Validation
+	// ========================================================================
+
+	/**
+	 * Check every stored value against the registered definitions, and
+	 * update {@link SettingsManager#invalid_values} with any issues. Values
+	 * without a registered definition are not reported, as they may belong
+	 * to add-ons that have not loaded yet.
+	 *
+	 * @returns {Object[]} A list of issues.
+	 */
+	validateStoredValues() {
+		if ( ! this.provider )
+			return this.invalid_values;
+
+		const ignored = this.provider.get('cfg-validation-ignored', []),
+			out = [];
+
+		for(const profile of this.__profiles) {
+			if ( profile.ephemeral )
+				continue;
+
+			for(const [key, value] of profile.entries()) {
+				const full_key = `p:${profile.id}:${key}`;
+				if ( ignored.includes(full_key) )
+					continue;
+
+				const issue = validateSetting(this, key, value);
+				if ( issue && issue.reason !== 'unknown' )
+					out.push(Object.assign(issue, {
+						key: full_key,
+						setting: key,
+						profile: profile.id
+					}));
+			}
+		}
+
+		const changed = out.length !== this.invalid_values.length ||
+			out.some((issue, idx) => issue.key !== this.invalid_values[idx].key);
+
+		this.invalid_values = out;
+
+		if ( changed ) {
+			if ( out.length )
+				this.log.warn(`Found ${out.length} stored settings with invalid values.`, out.map(issue => issue.key));
+
+			this.emit(':invalid-values', out);
+		}
+
+		return out;
+	}
+
+
+	/**
+	 * Resolve issues found by {@link SettingsManager#validateStoredValues}.
+	 *
+	 * @param {Object[]} issues The issues to resolve.
+	 * @param {Object} resolutions A map of keys to the action to take.
+	 * Issues that are kept will not be reported again.
+	 */
+	resolveStoredValues(issues, resolutions) {
+		const ignored = [...this.provider.get('cfg-validation-ignored', [])];
+		let changed_ignored = false;
+
+		for(const issue of issues) {
+			const profile = this.__profile_ids[issue.profile],
+				action = resolutions[issue.key];
+
+			if ( ! profile )
+				continue;
+
+			if ( action === DROP || (action === COERCE && ! issue.can_coerce) )
+				profile.delete(issue.setting);
+
+			else if ( action === COERCE )
+				profile.set(issue.setting, deep_copy(issue.coerced));
+
+			else if ( ! ignored.includes(issue.key) ) {
+				ignored.push(issue.key);
+				changed_ignored = true;
+			}
+		}
+
+		if ( changed_ignored )
+			this.provider.set('cfg-validation-ignored', ignored);
+
+		this.validateStoredValues();
+	}
+
+
 	scheduleUpdates() {
 		if ( this._update_timer )
 			clearTimeout(this._update_timer);
@@ -685,6 +809,9 @@ export default class SettingsManager extends Module {
 		if ( key === 'profiles' )
 			return this.loadProfiles();
 
+		if ( key === HISTORY_KEY )
+			return this.history.emit('changed');
+
 		if ( ! key.startsWith('p:') )
 			return;
 
@@ -826,6 +953,8 @@ export default class SettingsManager extends Module {
 			profile.hotkey_enabled = true;
 		}
 
+		this.validateSoon();
+
 		if ( ! changed && ! old_ids.size || suppress_events )
 			return;
 
@@ -1068,6 +1197,9 @@ export default class SettingsManager extends Module {
 
 		this.definitions.set(key, definition);
 
+		if ( this.__profiles.length )
+			this.validateSoon();
+
 		// Do not re-emit `added-definition` when re-adding an existing
 		// setting. Prevents the settings UI from goofing up.
 		if ( ! old_definition || Array.isArray(old_definition) )
@@ -5,11 +5,17 @@
 // ============================================================================
 
 import {EventEmitter} from 'utilities/events';
-import {isValidShortcut, has} from 'utilities/object';
+import {isValidShortcut, has, deep_equals} from 'utilities/object';
 import {createTester} from 'utilities/filtering';
 
 const fetchJSON = (url, options) => fetch(url, options).then(r => r.ok ? r.json() : null).catch(() => null);
 
+// Profile data that remote updates are not allowed to override.
+const LOCAL_KEYS = [
+	'ephemeral', 'id', 'name', 'i18n_key', 'hotkey', 'description',
+	'desc_i18n_key', 'url', 'pause_updates', 'review_updates'
+];
+
 /**
  * Instances of SettingsProfile are used for getting and setting raw settings
  * values, enumeration, and emit events when the raw settings are changed.
@@ -44,6 +50,7 @@ export default class SettingsProfile extends EventEmitter {
 			i18n_key: this.i18n_key,
 			hotkey: this.hotkey,
 			pause_updates: this.pause_updates,
+			review_updates: this.review_updates,
 
 			ephemeral: this.ephemeral,
 
@@ -88,13 +95,24 @@ export default class SettingsProfile extends EventEmitter {
 			type: 'profile',
 			profile: this.data,
 			toggled: this.toggled,
-			values: {}
+			values: this.getValues()
 		};
 
 		delete out.profile.ephemeral;
 
+		return out;
+	}
+
+
+	/**
+	 * Get every value stored in this profile.
+	 *
+	 * @returns {Object} The profile's values.
+	 */
+	getValues() {
+		const out = {};
 		for(const [k,v] of this.entries())
-			out.values[k] = v;
+			out[k] = v;
 
 		return out;
 	}
@@ -109,29 +127,154 @@ export default class SettingsProfile extends EventEmitter {
 			return false;
 
 		// We don't want to override general settings.
-		delete data.profile.ephemeral;
-		delete data.profile.id;
-		delete data.profile.name;
-		delete data.profile.i18n_key;
-		delete data.profile.hotkey;
-		delete data.profile.description;
-		delete data.profile.desc_i18n_key;
-		delete data.profile.url;
-		delete data.profile.pause_updates;
+		for(const key of LOCAL_KEYS)
+			delete data.profile[key];
+
+		if ( this.review_updates ) {
+			const changes = this.diffValues(data.values);
+			changes.rules = ! deep_equals(this.context, data.profile.context);
+
+			const had_pending = this.pending_update != null;
+
+			if ( changes.rules || changes.added.length || changes.changed.length || changes.removed.length )
+				this.pending_update = {
+					profile: data.profile,
+					values: data.values,
+					changes
+				};
+			else
+				this.pending_update = null;
+
+			if ( had_pending || this.pending_update )
+				this.manager.emit(':profile-changed', this);
+
+			return true;
+		}
 
 		this.data = data.profile;
+		this.mergeValues(data.values);
+		return true;
+	}
+
+
+	/**
+	 * Apply a pending update that was held back for review because this
+	 * profile has `review_updates` set.
+	 *
+	 * @param {String[]} [keys] The setting keys to apply. If this is not
+	 * provided, every change is applied.
+	 * @param {Boolean} [rules=true] Whether or not the profile's rules
+	 * should be replaced by the rules from the update.
+	 * @returns {Number} The number of settings that were changed.
+	 */
+	applyPendingUpdate(keys, rules = true) {
+		const update = this.pending_update;
+		if ( ! update )
+			return 0;
+
+		this.pending_update = null;
+
+		if ( rules )
+			this.data = update.profile;
+
+		const out = this.mergeValues(update.values, keys);
+		this.save();
+		return out;
+	}
+
 
-		const old_keys = new Set(this.keys());
+	dismissPendingUpdate() {
+		if ( ! this.pending_update )
+			return;
+
+		this.pending_update = null;
+		this.manager.emit(':profile-changed', this);
+	}
+
+
+	/**
+	 * Compare a set of values, such as from a backup or a remote update,
+	 * against the values currently stored in this profile.
+	 *
+	 * @param {Object} values The incoming values.
+	 * @returns {Object} An object with `added`, `changed` and `removed`
+	 * lists. Every entry has a `key`, and has `old` and/or `value` depending
+	 * on the kind of change.
+	 */
+	diffValues(values) {
+		const added = [],
+			changed = [],
+			removed = [],
+			old_keys = new Set(this.keys());
+
+		for(const [key, value] of Object.entries(values)) {
+			if ( ! old_keys.has(key) ) {
+				added.push({key, value});
+				continue;
+			}
 
-		for(const [key, value] of Object.entries(data.values)) {
 			old_keys.delete(key);
-			this.set(key, value);
+
+			const old = this.get(key);
+			if ( ! deep_equals(old, value) )
+				changed.push({key, old, value});
 		}
 
 		for(const key of old_keys)
-			this.delete(key);
+			removed.push({key, old: this.get(key)});
 
-		return true;
+		return {added, changed, removed};
+	}
+
+
+	/**
+	 * Compare the values stored in this profile with the values stored in
+	 * another profile. This uses the same format as {@link diffValues}, so
+	 * `added` are keys only set in the other profile and `removed` are keys
+	 * only set in this profile.
+	 *
+	 * @param {SettingsProfile} other The profile to compare against.
+	 * @returns {Object} An object with `added`, `changed` and `removed` lists.
+	 */
+	compareTo(other) {
+		return this.diffValues(other.getValues());
+	}
+
+
+	/**
+	 * Merge a set of values into this profile. When a list of keys is
+	 * provided, only those keys are touched: keys present in `values` are
+	 * set and keys missing from `values` are deleted. Without a list of
+	 * keys, the profile's values are replaced entirely.
+	 *
+	 * @param {Object} values The incoming values.
+	 * @param {String[]} [keys] The keys to merge.
+	 * @returns {Number} The number of keys that were set or deleted.
+	 */
+	mergeValues(values, keys) {
+		if ( ! keys ) {
+			keys = new Set(this.keys());
+			for(const key of Object.keys(values))
+				keys.add(key);
+		}
+
+		let count = 0;
+
+		for(const key of keys) {
+			if ( has(values, key) ) {
+				if ( this.has(key) && deep_equals(this.get(key), values[key]) )
+					continue;
+
+				this.set(key, values[key]);
+				count++;
+
+			} else if ( this.has(key) ) {
+				this.delete(key);
+				count++;
+			}
+		}
+
+		return count;
 	}
 
 
@@ -251,16 +394,20 @@ export default class SettingsProfile extends EventEmitter {
 	set(key, value) {
 		if ( this.ephemeral )
 			this._storage.set(key, value);
-		else
+		else {
+			this.manager.history.record(this, key, this.provider.get(this.prefix + key), value);
 			this.provider.set(this.prefix + key, value);
+		}
 		this.emit('changed', key, value);
 	}
 
 	delete(key) {
 		if ( this.ephemeral )
 			this._storage.delete(key);
-		else
+		else {
+			this.manager.history.record(this, key, this.provider.get(this.prefix + key), undefined);
 			this.provider.delete(this.prefix + key);
+		}
 		this.emit('changed', key, undefined, true);
 	}
 
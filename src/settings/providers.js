@@ -6,7 +6,8 @@ import { isValidBlob, deserializeBlob, serializeBlob } from 'src/utilities/blobs
 // ============================================================================
 
 import {EventEmitter} from 'utilities/events';
-import {has} from 'utilities/object';
+import {has, deep_equals} from 'utilities/object';
+import {NO_SYNC_KEYS} from './index';
 
 const DB_VERSION = 1,
 	NOT_WWW_TWITCH = window.location.host !== 'www.twitch.tv',
@@ -415,6 +416,10 @@ export class IndexedDBProvider extends SettingsProvider {
 
 	static supportsBlobs = true;
 
+	static dbName = 'FFZ';
+	static dbVersion = DB_VERSION;
+	static dbStores = ['settings', 'blobs'];
+
 	//get supportsBlobs() { return true; } // eslint-disable-line class-methods-use-this
 
 	destroy() {
@@ -617,6 +622,11 @@ export class IndexedDBProvider extends SettingsProvider {
 
 	// IDB Interaction
 
+	upgradeDB(db) { // eslint-disable-line class-methods-use-this
+		db.createObjectStore('settings', {keyPath: 'k'});
+		db.createObjectStore('blobs');
+	}
+
 	getDB(second = false) {
 		if ( this.db )
 			return Promise.resolve(this.db);
@@ -634,7 +644,7 @@ export class IndexedDBProvider extends SettingsProvider {
 					}
 				}
 
-			const request = window.indexedDB.open('FFZ', DB_VERSION);
+			const request = window.indexedDB.open(this.constructor.dbName, this.constructor.dbVersion);
 			this._onStart(request);
 
 			request.onerror = e => {
@@ -646,12 +656,9 @@ export class IndexedDBProvider extends SettingsProvider {
 
 			request.onupgradeneeded = e => {
 				if ( this.manager )
-					this.manager.log.info(`Upgrading database from version ${e.oldVersion} to ${DB_VERSION}`);
-
-				const db = request.result;
+					this.manager.log.info(`Upgrading database from version ${e.oldVersion} to ${this.constructor.dbVersion}`);
 
-				db.createObjectStore('settings', {keyPath: 'k'});
-				db.createObjectStore('blobs');
+				this.upgradeDB(request.result, e);
 			}
 
 			request.onsuccess = () => {
@@ -660,9 +667,10 @@ export class IndexedDBProvider extends SettingsProvider {
 				this.db = request.result;
 
 				try {
-					const trx = this.db.transaction(['settings', 'blobs'], 'readonly');
-					trx.objectStore('settings');
-					trx.objectStore('blobs');
+					const stores = this.constructor.dbStores,
+						trx = this.db.transaction(stores, 'readonly');
+					for(const store of stores)
+						trx.objectStore(store);
 				} catch(err) {
 					// If this is an error, the database is in an invalid state.
 					if ( this.manager )
@@ -680,7 +688,7 @@ export class IndexedDBProvider extends SettingsProvider {
 
 					else {
 						// Try deleting the database and making a new one.
-						const delreq = window.indexedDB.deleteDatabase('FFZ');
+						const delreq = window.indexedDB.deleteDatabase(this.constructor.dbName);
 						this._onStart(delreq);
 
 						delreq.onerror = e => {
@@ -1254,4 +1262,407 @@ export class CrossOriginStorageBridge extends SettingsProvider {
 		this._rpc.delete(id);
 		cbs[success ? 0 : 1](msg);
 	}
-}
\ No newline at end of file
+}
+
+
+// ============================================================================
+// RemoteSyncProvider
+// ============================================================================
+
+const REMOTE_PREFIX = 'FFZ:remote:',
+	REMOTE_CONFIG_KEY = 'ffzRemoteSync',
+	REMOTE_META_KEY = 'ffzRemoteSyncMeta',
+	REMOTE_SYNC_INTERVAL = 60000,
+	REMOTE_PUSH_DELAY = 2000,
+	REMOTE_MAX_ATTEMPTS = 3;
+
+/**
+ * A provider that keeps a copy of all settings in Local Storage, and then
+ * synchronizes them with a user-configured HTTP endpoint so that settings
+ * can follow a user across computers.
+ *
+ * The endpoint must respond to `GET` with a JSON document and an `ETag`
+ * header, and accept `PUT` with a JSON document. `PUT` requests are made
+ * with `If-Match`, and the endpoint should respond with `412` if the
+ * document was changed by someone else, at which point we merge and retry.
+ *
+ * Documents have the form `{version: 1, values: {}, timestamps: {}}`. Every
+ * key has a timestamp of when it was last changed, and keys with a timestamp
+ * but no value have been deleted. When both sides changed a key, the most
+ * recent change wins.
+ *
+ * Changes made while the endpoint cannot be reached are queued, and sent
+ * when the connection is restored. Keys in {@link NO_SYNC_KEYS} are never
+ * sent to the endpoint.
+ *
+ * @extends LocalStorageProvider
+ */
+export class RemoteSyncProvider extends LocalStorageProvider {
+	constructor(manager) {
+		super(manager, REMOTE_PREFIX);
+
+		this.config = RemoteSyncProvider.getConfig();
+		this.online = true;
+		this.last_sync = null;
+		this.last_error = null;
+
+		this._sync_timer = null;
+		this._push_timer = null;
+		this._syncing = null;
+		this._sync_again = false;
+
+		this.sync = this.sync.bind(this);
+		window.addEventListener('online', this.sync);
+
+		this.sync();
+	}
+
+	static key = 'remote';
+	static priority = 50;
+	static title = 'Remote Sync';
+	static description = 'This provider stores your settings in Local Storage, and also synchronizes them with a server of your choosing using simple HTTP requests. This lets your settings follow you across computers without relying on your browser\'s sync features. Changes made while offline are sent when the server can be reached again.';
+
+	static configFields = [
+		{
+			key: 'url',
+			type: 'url',
+			i18n_key: 'setting.provider.remote.url',
+			title: 'Server URL',
+			required: true
+		},
+		{
+			key: 'token',
+			type: 'password',
+			i18n_key: 'setting.provider.remote.token',
+			title: 'Access Token'
+		}
+	];
+
+	static supported() {
+		return !! window.fetch;
+	}
+
+	static hasContent() {
+		const config = RemoteSyncProvider.getConfig();
+		return !! config?.url;
+	}
+
+	static getConfig() {
+		try {
+			return JSON.parse(localStorage.getItem(REMOTE_CONFIG_KEY)) || null;
+		} catch(err) {
+			return null;
+		}
+	}
+
+	static setConfig(config) {
+		if ( config )
+			localStorage.setItem(REMOTE_CONFIG_KEY, JSON.stringify(config));
+		else
+			localStorage.removeItem(REMOTE_CONFIG_KEY);
+	}
+
+	setConfig(config) {
+		RemoteSyncProvider.setConfig(config);
+		this.config = config;
+
+		// A different server has a different document.
+		const meta = this._getMeta();
+		meta.etag = null;
+		this._saveMeta(meta);
+
+		return this.sync();
+	}
+
+	disable() {
+		super.disable();
+
+		window.removeEventListener('online', this.sync);
+
+		clearTimeout(this._sync_timer);
+		clearTimeout(this._push_timer);
+		this._sync_timer = this._push_timer = null;
+	}
+
+
+	// Sync State
+	// Stored in Local Storage so that it is shared between tabs.
+
+	_getMeta() { // eslint-disable-line class-methods-use-this
+		let meta;
+		try {
+			meta = JSON.parse(localStorage.getItem(REMOTE_META_KEY));
+		} catch(err) { /* no-op */ }
+
+		if ( ! meta || typeof meta !== 'object' )
+			meta = {};
+
+		meta.etag = meta.etag || null;
+		meta.timestamps = meta.timestamps || {};
+		meta.dirty = Array.isArray(meta.dirty) ? meta.dirty : [];
+		return meta;
+	}
+
+	_saveMeta(meta) { // eslint-disable-line class-methods-use-this
+		localStorage.setItem(REMOTE_META_KEY, JSON.stringify(meta));
+	}
+
+	_markDirty(keys) {
+		const meta = this._getMeta(),
+			dirty = new Set(meta.dirty),
+			now = Date.now();
+
+		for(const key of keys) {
+			if ( NO_SYNC_KEYS.includes(key) )
+				continue;
+
+			meta.timestamps[key] = now;
+			dirty.add(key);
+		}
+
+		meta.dirty = Array.from(dirty);
+		this._saveMeta(meta);
+
+		if ( ! this._push_timer && ! this.disabled )
+			this._push_timer = setTimeout(() => {
+				this._push_timer = null;
+				this.sync();
+			}, REMOTE_PUSH_DELAY);
+	}
+
+
+	// Provider Methods
+
+	set(key, value) {
+		const had = this.has(key);
+		super.set(key, value);
+		if ( ! this.disabled && (value !== undefined || had) )
+			this._markDirty([key]);
+	}
+
+	delete(key) {
+		super.delete(key);
+		if ( ! this.disabled )
+			this._markDirty([key]);
+	}
+
+	clear() {
+		const keys = Array.from(this.keys());
+		super.clear();
+		if ( ! this.disabled )
+			this._markDirty(keys);
+	}
+
+	async flush() {
+		await this.sync();
+	}
+
+
+	// Synchronization
+
+	/**
+	 * Synchronize with the remote endpoint. This pulls remote changes,
+	 * merges them and then pushes any queued local changes.
+	 *
+	 * @returns {Promise<Boolean>} Whether or not synchronization succeeded.
+	 */
+	sync() {
+		if ( this._syncing ) {
+			this._sync_again = true;
+			return this._syncing;
+		}
+
+		clearTimeout(this._sync_timer);
+		this._sync_timer = null;
+
+		this._syncing = this._sync().then(success => {
+			this._syncing = null;
+			if ( this._sync_again ) {
+				this._sync_again = false;
+				return this.sync();
+			}
+
+			if ( ! this.disabled )
+				this._sync_timer = setTimeout(this.sync, REMOTE_SYNC_INTERVAL);
+
+			return success;
+		});
+
+		return this._syncing;
+	}
+
+	_getHeaders(extra) {
+		const headers = Object.assign({
+			Accept: 'application/json'
+		}, extra);
+
+		if ( this.config?.token )
+			headers.Authorization = `Bearer ${this.config.token}`;
+
+		return headers;
+	}
+
+	async _sync(attempt = 0) {
+		if ( this.disabled || ! this.config?.url )
+			return false;
+
+		const url = this.config.url,
+			etag = this._getMeta().etag;
+
+		// Pull
+		let remote = null,
+			new_etag = null;
+
+		try {
+			const resp = await fetch(url, {
+				cache: 'no-store',
+				headers: this._getHeaders(etag ? {'If-None-Match': etag} : null)
+			});
+
+			if ( resp.status === 404 )
+				remote = {values: {}, timestamps: {}};
+
+			else if ( resp.status !== 304 ) {
+				if ( ! resp.ok )
+					throw new Error(`Unexpected status code: ${resp.status}`);
+
+				remote = await resp.json();
+				new_etag = resp.headers.get('ETag');
+			}
+
+		} catch(err) {
+			return this._syncFailed(err);
+		}
+
+		// Read the state again, in case it changed while we were waiting.
+		const meta = this._getMeta();
+
+		if ( remote ) {
+			meta.etag = new_etag;
+			this._mergeRemote(remote, meta);
+		}
+
+		this._saveMeta(meta);
+
+		if ( ! meta.dirty.length )
+			return this._syncSucceeded();
+
+		// Push
+		const values = {},
+			timestamps = {};
+
+		for(const [key, value] of this.entries())
+			if ( ! NO_SYNC_KEYS.includes(key) )
+				values[key] = value;
+
+		for(const [key, ts] of Object.entries(meta.timestamps))
+			if ( ! NO_SYNC_KEYS.includes(key) )
+				timestamps[key] = ts;
+
+		let resp;
+		try {
+			resp = await fetch(url, {
+				method: 'PUT',
+				cache: 'no-store',
+				headers: this._getHeaders(Object.assign(
+					{'Content-Type': 'application/json'},
+					meta.etag ? {'If-Match': meta.etag} : {'If-None-Match': '*'}
+				)),
+				body: JSON.stringify({
+					version: 1,
+					values,
+					timestamps
+				})
+			});
+
+		} catch(err) {
+			return this._syncFailed(err);
+		}
+
+		// Someone else changed the document. Pull their changes and try again.
+		if ( resp.status === 412 && attempt < REMOTE_MAX_ATTEMPTS ) {
+			const fresh = this._getMeta();
+			fresh.etag = null;
+			this._saveMeta(fresh);
+			return this._sync(attempt + 1);
+		}
+
+		if ( ! resp.ok )
+			return this._syncFailed(new Error(`Unexpected status code: ${resp.status}`));
+
+		// Only clear the keys we actually sent, in case something changed
+		// while we were waiting.
+		const sent = new Set(meta.dirty),
+			after = this._getMeta();
+
+		after.etag = resp.headers.get('ETag');
+		after.dirty = after.dirty.filter(key => ! sent.has(key) || after.timestamps[key] !== meta.timestamps[key]);
+		this._saveMeta(after);
+
+		return this._syncSucceeded();
+	}
+
+	_syncSucceeded() {
+		this.online = true;
+		this.last_sync = Date.now();
+		this.last_error = null;
+		this.emit('sync', true);
+		return true;
+	}
+
+	_syncFailed(err) {
+		if ( this.online )
+			this.manager.log.warn('Unable to synchronize settings with remote server.', err);
+
+		this.online = false;
+		this.last_error = err;
+		this.emit('sync', false, err);
+		return false;
+	}
+
+	_mergeRemote(remote, meta) {
+		const values = remote.values || {},
+			timestamps = remote.timestamps || {},
+			dirty = new Set(meta.dirty);
+
+		for(const [key, ts] of Object.entries(timestamps)) {
+			if ( NO_SYNC_KEYS.includes(key) )
+				continue;
+
+			// Last writer wins.
+			const local_ts = meta.timestamps[key] || 0;
+			if ( ts <= local_ts )
+				continue;
+
+			meta.timestamps[key] = ts;
+			dirty.delete(key);
+
+			if ( has(values, key) ) {
+				const value = values[key];
+				if ( this._cached.has(key) && deep_equals(this._cached.get(key), value) )
+					continue;
+
+				this._cached.set(key, value);
+				localStorage.setItem(this.prefix + key, JSON.stringify(value));
+				this.broadcast({type: 'set', key});
+				this.emit('changed', key, value, false);
+
+			} else if ( this._cached.has(key) ) {
+				this._cached.delete(key);
+				localStorage.removeItem(this.prefix + key);
+				this.broadcast({type: 'delete', key});
+				this.emit('changed', key, undefined, true);
+			}
+		}
+
+		// Keys we have never seen a timestamp for, but that exist locally,
+		// need to be sent to the server.
+		for(const key of this._cached.keys())
+			if ( ! has(meta.timestamps, key) && ! NO_SYNC_KEYS.includes(key) ) {
+				meta.timestamps[key] = Date.now();
+				dirty.add(key);
+			}
+
+		meta.dirty = Array.from(dirty);
+	}
+}
@@ -0,0 +1,303 @@
+'use strict';
+
+// ============================================================================
+// Settings Validation
+// ============================================================================
+
+import {deep_copy, has} from 'utilities/object';
+
+export const DROP = 'drop';
+export const COERCE = 'coerce';
+export const KEEP = 'keep';
+
+const ARRAY_TYPES = ['array_merge', 'basic_array_merge'];
+const SELECT_COMPONENTS = ['setting-select-box', 'setting-radio-buttons'];
+
+
+function getDefault(definition) {
+	const value = definition.default;
+	return typeof value === 'function' ? undefined : value;
+}
+
+function getExpectedType(definition) {
+	if ( ARRAY_TYPES.includes(definition.type) )
+		return 'array';
+
+	if ( definition.type === 'object_merge' )
+		return 'object';
+
+	const def = getDefault(definition);
+	if ( def == null )
+		return null;
+
+	if ( Array.isArray(def) )
+		return 'array';
+
+	return typeof def;
+}
+
+function getValueType(value) {
+	if ( value === null )
+		return 'null';
+
+	if ( Array.isArray(value) )
+		return 'array';
+
+	return typeof value;
+}
+
+function coerceType(value, type) {
+	const vtype = getValueType(value);
+
+	if ( type === 'boolean' ) {
+		if ( vtype === 'number' )
+			return value !== 0;
+		if ( vtype === 'string' ) {
+			const v = value.trim().toLowerCase();
+			if ( v === 'true' || v === '1' || v === 'yes' )
+				return true;
+			if ( v === 'false' || v === '0' || v === 'no' )
+				return false;
+		}
+
+	} else if ( type === 'number' ) {
+		if ( vtype === 'string' && value.trim().length ) {
+			const v = Number(value);
+			if ( isFinite(v) )
+				return v;
+		} else if ( vtype === 'boolean' )
+			return value ? 1 : 0;
+
+	} else if ( type === 'string' ) {
+		if ( vtype === 'number' || vtype === 'boolean' )
+			return String(value);
+	}
+
+	return undefined;
+}
+
+
+/**
+ * Check a value against the definition registered for a setting.
+ *
+ * @param {SettingsManager} manager The settings manager.
+ * @param {String} key The setting key.
+ * @param {*} value The value to check.
+ * @returns {Object|null} `null` if the value is valid. Otherwise, an issue
+ * with a `reason`, the `expected` type if applicable, and a `coerced` value
+ * if one could be determined.
+ */
+export function validateSetting(manager, key, value) {
+	const definition = manager.definitions.get(key);
+
+	// We can't validate settings we know nothing about. Addons may not be
+	// loaded, so this is informational only.
+	if ( ! definition || Array.isArray(definition) )
+		return {
+			key,
+			value,
+			reason: 'unknown',
+			can_coerce: false
+		};
+
+	const ui = definition.ui || {},
+		def = getDefault(definition),
+		has_default = def !== undefined,
+		expected = getExpectedType(definition),
+		vtype = getValueType(value);
+
+	// Select boxes only allow their listed values, which may be of
+	// mixed types, so this takes the place of checking the type.
+	const is_select = SELECT_COMPONENTS.includes(ui.component) && Array.isArray(ui.data);
+
+	if ( is_select ) {
+		let found = false;
+		for(const entry of ui.data)
+			if ( entry && entry.value === value ) {
+				found = true;
+				break;
+			}
+
+		if ( ! found )
+			return {
+				key,
+				value,
+				reason: 'option',
+				coerced: deep_copy(def),
+				can_coerce: has_default
+			};
+	}
+
+	if ( ! is_select && expected && vtype !== expected ) {
+		let coerced = coerceType(value, expected);
+		if ( coerced === undefined )
+			coerced = def;
+
+		return {
+			key,
+			value,
+			reason: 'type',
+			expected,
+			actual: vtype,
+			coerced: deep_copy(coerced),
+			can_coerce: coerced !== undefined
+		};
+	}
+
+	// Array merge settings must only contain objects.
+	if ( definition.type === 'array_merge' ) {
+		const filtered = value.filter(entry => entry && typeof entry === 'object' && ! Array.isArray(entry));
+		if ( filtered.length !== value.length )
+			return {
+				key,
+				value,
+				reason: 'entries',
+				coerced: deep_copy(filtered),
+				can_coerce: true
+			};
+	}
+
+	// Finally, processors such as to_int with bounds.
+	let validator = ui.validator;
+	if ( ! validator && typeof ui.process === 'string' )
+		validator = `process_${ui.process}`;
+
+	if ( validator && typeof validator !== 'function' )
+		validator = manager.getValidator(validator);
+
+	if ( typeof validator === 'function' ) {
+		let valid;
+		try {
+			valid = validator(value, ui);
+		} catch(err) {
+			valid = false;
+		}
+
+		if ( ! valid ) {
+			let coerced = def;
+			let processor = ui.process;
+			if ( processor && typeof processor !== 'function' )
+				processor = manager.getProcessor(processor);
+
+			if ( typeof processor === 'function' ) {
+				try {
+					coerced = processor(value, def, ui);
+				} catch(err) { /* no-op */ }
+			}
+
+			return {
+				key,
+				value,
+				reason: 'invalid',
+				coerced: deep_copy(coerced),
+				can_coerce: coerced !== undefined
+			};
+		}
+	}
+
+	return null;
+}
+
+
+/**
+ * Check every value for a profile against the registered definitions.
+ *
+ * @param {SettingsManager} manager The settings manager.
+ * @param {Object} values The profile's values.
+ * @param {Boolean} [include_unknown=true] Whether or not to report keys
+ * that have no registered definition.
+ * @returns {Object[]} A list of issues.
+ */
+export function validateValues(manager, values, include_unknown = true) {
+	const out = [];
+	if ( ! values || typeof values !== 'object' )
+		return out;
+
+	for(const [key, value] of Object.entries(values)) {
+		const issue = validateSetting(manager, key, value);
+		if ( issue && (include_unknown || issue.reason !== 'unknown') )
+			out.push(issue);
+	}
+
+	return out;
+}
+
+
+/**
+ * Check every profile value within a full backup.
+ *
+ * @param {SettingsManager} manager The settings manager.
+ * @param {Object} data The full backup.
+ * @returns {Object[]} A list of issues. Keys are full storage keys.
+ */
+export function validateBackup(manager, data) {
+	const out = [],
+		values = data?.values;
+
+	if ( ! values || typeof values !== 'object' )
+		return out;
+
+	if ( has(values, 'profiles') && ! Array.isArray(values.profiles) )
+		out.push({
+			key: 'profiles',
+			value: values.profiles,
+			reason: 'type',
+			expected: 'array',
+			actual: getValueType(values.profiles),
+			can_coerce: false
+		});
+
+	for(const [key, value] of Object.entries(values)) {
+		const match = /^p:(\d+):(.+)$/.exec(key);
+		if ( ! match || match[2] === ':enabled' )
+			continue;
+
+		const issue = validateSetting(manager, match[2], value);
+		if ( issue )
+			out.push(Object.assign(issue, {
+				key,
+				setting: match[2],
+				profile: parseInt(match[1], 10)
+			}));
+	}
+
+	return out;
+}
+
+
+/**
+ * Apply the chosen resolutions to a set of values. Values are modified
+ * in place.
+ *
+ * @param {Object} values The values to modify.
+ * @param {Object[]} issues The issues that were found.
+ * @param {Object} resolutions A map of keys to {@link DROP}, {@link COERCE}
+ * or {@link KEEP}. Missing keys default to {@link KEEP}.
+ * @returns {Object} The values.
+ */
+export function applyResolutions(values, issues, resolutions) {
+	for(const issue of issues) {
+		const action = resolutions[issue.key];
+		if ( action === DROP || (action === COERCE && ! issue.can_coerce) )
+			delete values[issue.key];
+
+		else if ( action === COERCE )
+			values[issue.key] = deep_copy(issue.coerced);
+	}
+
+	return values;
+}
+
+
+/**
+ * Get the default resolution for an issue.
+ *
+ * @param {Object} issue The issue.
+ * @returns {String} The resolution.
+ */
+export function getDefaultResolution(issue) {
+	if ( issue.reason === 'unknown' )
+		return KEEP;
+
+	return issue.can_coerce ? COERCE : DROP;
+}
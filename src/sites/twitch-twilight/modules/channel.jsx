@@ -12,6 +12,8 @@ import { createElement, setChildren } from 'utilities/dom';
 
 const USER_PAGES = ['user', 'user-home', 'user-about', 'video', 'user-video', 'user-clip', 'user-videos', 'user-clips', 'user-collections', 'user-events', 'user-followers', 'user-following'];
 
+const STREAM_META_INTERVAL = 60000;
+
 export default class Channel extends Module {
 
 	constructor(...args) {
@@ -165,6 +167,8 @@ export default class Channel extends Module {
 
 		this.router.on(':route', this.checkNavigation, this);
 		this.checkNavigation();
+
+		this.settings.on(':want-stream-meta', () => this.updateStreamMeta(), this);
 	}
 
 	maybeSkipTrailer(el) {
@@ -562,6 +566,8 @@ export default class Channel extends Module {
 				channelColor: channel.primaryColorHex
 			});
 
+			this.updateStreamMeta(channel.id);
+
 		} else
 			this.removeRoot();
 	}
@@ -573,6 +579,62 @@ export default class Channel extends Module {
 			channelID: null,
 			channelColor: null
 		});
+
+		this.updateStreamMeta(null);
+	}
+
+	updateStreamMeta(channel_id) {
+		if ( channel_id !== undefined && channel_id !== this._meta_channel ) {
+			this._meta_channel = channel_id;
+
+			clearTimeout(this._meta_timer);
+			this._meta_timer = null;
+
+			this.settings.updateContext({
+				live: null,
+				viewers: null,
+				streamStarted: null
+			});
+		}
+
+		// Only poll for stream metadata if a profile filter needs it.
+		if ( ! this.settings.want_stream_meta || ! this._meta_channel || this._meta_timer )
+			return;
+
+		this.loadStreamMeta();
+	}
+
+	async loadStreamMeta() {
+		clearTimeout(this._meta_timer);
+		this._meta_timer = null;
+
+		const channel_id = this._meta_channel;
+		if ( ! channel_id )
+			return;
+
+		let stream;
+		try {
+			// Skip the cache, or we would get the same data every time.
+			stream = await this.twitch_data.getStreamMeta(channel_id, null, true);
+		} catch(err) {
+			this.log.warn('Unable to load stream metadata.', err);
+			stream = undefined;
+		} finally {
+			// Keep polling even if this request failed, unless the channel
+			// changed while we were waiting.
+			if ( channel_id === this._meta_channel && ! this._meta_timer )
+				this._meta_timer = setTimeout(() => this.loadStreamMeta(), STREAM_META_INTERVAL);
+		}
+
+		if ( channel_id !== this._meta_channel )
+			return;
+
+		if ( stream !== undefined )
+			this.settings.updateContext({
+				live: !! stream,
+				viewers: stream?.viewersCount ?? null,
+				streamStarted: stream?.createdAt ? new Date(stream.createdAt).getTime() : null
+			});
 	}
 
 	updateChannelColor(color) {
@@ -7,6 +7,7 @@
 import {has, get, once, maybe_call, set_equals, getTwitchEmoteURL, getTwitchEmoteSrcSet, deep_equals} from 'utilities/object';
 import {TWITCH_GLOBAL_SETS, EmoteTypes, TWITCH_POINTS_SETS, TWITCH_PRIME_SETS, WEBKIT_CSS as WEBKIT, IS_OSX, KNOWN_CODES, REPLACEMENT_BASE, REPLACEMENTS, KEYS} from 'utilities/constants';
 import {HIDDEN_CATEGORIES, CATEGORIES, CATEGORY_SORT, IMAGE_PATHS} from 'src/modules/chat/emoji';
+import {parseQuery, matchEmote, getSearchFields} from 'src/modules/chat/emote_search';
 import {ClickOutside} from 'utilities/dom';
 
 import Twilight from 'site';
@@ -69,6 +70,17 @@ function maybe_date(val) {
 const COLLATOR = window?.Intl?.Collator && new Intl.Collator(undefined, {numeric: true});
 
 
+function getUsageKey(emote) {
+	if ( emote.emoji )
+		return ['emoji', emote.code];
+
+	if ( emote.provider === 'twitch' )
+		return ['twitch', emote.overridden || emote.id];
+
+	return [emote.source || 'ffz', emote.id];
+}
+
+
 const EMOTE_SORTERS = [
 	function id_asc(a, b) {
 		if ( COLLATOR )
@@ -176,6 +188,7 @@ export default class EmoteMenu extends Module {
 		this.inject('chat.badges');
 		this.inject('chat.emotes');
 		this.inject('chat.emoji');
+		this.inject('chat.emote_usage');
 
 		this.inject('site');
 		this.inject('site.fine');
@@ -369,11 +382,33 @@ export default class EmoteMenu extends Module {
 					{value: 0, title: 'Order Added (ID), Ascending'},
 					{value: 1, title: 'Order Added (ID), Descending'},
 					{value: 2, title: 'Name, Ascending'},
-					{value: 3, title: 'Name, Descending'}
+					{value: 3, title: 'Name, Descending'},
+					{value: 6, title: 'Most Frequently Used'}
 				]
 			}
 		});
 
+		this.settings.add('chat.emote-menu.show-frequent', {
+			default: true,
+			ui: {
+				path: 'Chat > Emote Menu >> Frequently Used',
+				title: 'Display a Frequently Used section on the Favorites tab.',
+				component: 'setting-check-box'
+			}
+		});
+
+		this.settings.add('chat.emote-menu.frequent-count', {
+			default: 18,
+			ui: {
+				path: 'Chat > Emote Menu >> Frequently Used',
+				title: 'Maximum number of emotes in the Frequently Used section.',
+				component: 'setting-text-box',
+				type: 'number',
+				process: 'to_int',
+				bounds: [1]
+			}
+		});
+
 		this.settings.add('chat.emote-menu.sort-tiers-last', {
 			default: true,
 			ui: {
@@ -406,6 +441,8 @@ export default class EmoteMenu extends Module {
 		this.on('chat.emotes:change-favorite', this.maybeUpdate, this);
 		this.on('chat.emotes:change-hidden', this.maybeUpdate, this);
 		this.on('chat.emoji:populated', this.maybeUpdate, this);
+		this.on('chat.emote_usage:changed', this.maybeUpdate, this);
+		this.on('chat.emotes:change-collections', this.maybeUpdate, this);
 
 		this.chat.context.on('changed:chat.emote-menu.enabled', () =>
 			this.EmoteMenu.forceUpdate());
@@ -422,6 +459,8 @@ export default class EmoteMenu extends Module {
 		this.chat.context.on('changed:chat.emote-menu.effect-tab', rebuild);
 		this.chat.context.on('changed:chat.emote-menu.sort-emotes', rebuild);
 		this.chat.context.on('changed:chat.emote-menu.sort-tiers-last', rebuild);
+		this.chat.context.on('changed:chat.emote-menu.show-frequent', rebuild);
+		this.chat.context.on('changed:chat.emote-menu.frequent-count', rebuild);
 
 		this.chat.context.on('changed:chat.emoji.style', this.updateEmojiVariables, this);
 
@@ -627,6 +666,14 @@ export default class EmoteMenu extends Module {
 			}
 		}
 
+		// The emote currently being dragged from the menu, if any. This is
+		// only used for adding emotes to collections and reordering them.
+		let dragging = null;
+
+		// Drags from the menu carry this type as well, so we can tell them
+		// apart from other drags even if a drag from the menu never ended.
+		const DRAG_TYPE = 'application/x-ffz-emote';
+
 		this.MenuSection = class FFZMenuSection extends React.Component {
 			constructor(props) {
 				super(props);
@@ -655,6 +702,9 @@ export default class EmoteMenu extends Module {
 				this.keyHeading = this.keyHeading.bind(this);
 				this.clickHeading = this.clickHeading.bind(this);
 				this.clickEmote = this.clickEmote.bind(this);
+				this.dragEnd = this.dragEnd.bind(this);
+				this.dragOver = this.dragOver.bind(this);
+				this.dropEmote = this.dropEmote.bind(this);
 
 				this.mouseEnter = () => this.state.intersecting || this.setState({intersecting: true});
 
@@ -681,6 +731,16 @@ export default class EmoteMenu extends Module {
 			}
 
 			clickEmote(event) {
+				if ( this.props.visibility_control && this.props.data.is_collection ) {
+					const collection = this.props.data.collection,
+						entry = t.emotes.getCollection(collection)?.emotes[event.currentTarget.dataset.index];
+
+					if ( entry )
+						t.emotes.removeFromCollection(collection, entry.source, entry.id);
+
+					return;
+				}
+
 				if ( this.props.visibility_control ) {
 					const ds = event.currentTarget.dataset;
 					let source, id = ds.id;
@@ -716,6 +776,49 @@ export default class EmoteMenu extends Module {
 				this.props.onClickToken(`${prefix}${event.currentTarget.dataset.name}`);
 			}
 
+			dragEmote(event, emote) {
+				const [source, id] = getUsageKey(emote);
+
+				dragging = {
+					source,
+					id,
+					name: emote.name,
+					src: emote.src,
+					srcSet: emote.srcSet,
+					collection: this.props.data.collection
+				};
+
+				event.dataTransfer.effectAllowed = 'copyMove';
+				event.dataTransfer.setData('text/plain', emote.name);
+				event.dataTransfer.setData(DRAG_TYPE, emote.name);
+			}
+
+			dragEnd() { // eslint-disable-line class-methods-use-this
+				dragging = null;
+			}
+
+			dragOver(event) {
+				if ( ! dragging || ! this.props.data.is_collection || ! event.dataTransfer.types.includes(DRAG_TYPE) )
+					return;
+
+				event.preventDefault();
+				event.dataTransfer.dropEffect = dragging.collection === this.props.data.collection ? 'move' : 'copy';
+			}
+
+			dropEmote(event) {
+				if ( ! dragging || ! this.props.data.is_collection || ! event.dataTransfer.types.includes(DRAG_TYPE) )
+					return;
+
+				event.preventDefault();
+
+				// Dropping onto an emote places the dragged emote before it.
+				const target = event.target.closest('[data-index]'),
+					index = target ? parseInt(target.dataset.index, 10) : null;
+
+				t.emotes.addToCollection(this.props.data.collection, dragging, index);
+				dragging = null;
+			}
+
 			keyHeading(event) {
 				if ( event.keyCode === KEYS.Enter || event.keyCode === KEYS.Space )
 					this.clickHeading();
@@ -777,7 +880,7 @@ export default class EmoteMenu extends Module {
 					filtered = this.props.filtered,
 					visibility = this.props.visibility_control;
 
-				let show_heading = ! (data.is_favorites && ! this.props.combineTabs) && this.props.showHeading;
+				let show_heading = ! (data.is_favorites && ! data.force_heading && ! this.props.combineTabs) && this.props.showHeading;
 				if ( show_heading === 2 )
 					show_heading = ! filtered;
 				else
@@ -831,7 +934,14 @@ export default class EmoteMenu extends Module {
 				if ( source == null )
 					source = 'FFZ';
 
-				return (<section ref={this.saveRef} data-key={data.key} class={filtered ? 'filtered' : ''} onMouseEnter={this.mouseEnter}>
+				return (<section
+					ref={this.saveRef}
+					data-key={data.key}
+					class={filtered ? 'filtered' : ''}
+					onMouseEnter={this.mouseEnter}
+					onDragOver={data.is_collection ? this.dragOver : null}
+					onDrop={data.is_collection ? this.dropEmote : null}
+				>
 					{show_heading ? (<heading tabindex="0" class="tw-pd-1 tw-border-b tw-flex tw-flex-nowrap" onKeyDown={this.keyHeading} onClick={this.clickHeading}>
 						{image}
 						<div class="tw-pd-l-05">
@@ -868,7 +978,10 @@ export default class EmoteMenu extends Module {
 							emote_lock = locked && data.locks && data.locks[emote.set_id];
 						let sellout = '';
 
-						if ( emote_lock ) {
+						if ( locked && emote.unavailable )
+							sellout = t.i18n.t('emote-menu.emote-unavailable', 'This emote is not currently available.');
+
+						else if ( emote_lock ) {
 							if ( emote_lock.id === 'subwoofer' ) {
 								sellout = t.i18n.t('emote-menu.emote-subwoofer', 'Become an FFZ Subwoofer to unlock this emote.');
 							} else if ( emote_lock.id === 'cheer' ) {
@@ -891,6 +1004,9 @@ export default class EmoteMenu extends Module {
 
 				return (<div class="tw-pd-1 tw-border-b tw-c-background-alt tw-align-center">
 					{emotes}
+					{data.is_collection && ! data.emotes.length && (<div class="tw-c-text-alt-2 tw-pd-05">
+						{t.i18n.t('emote-menu.collection-empty', 'Drag emotes here to add them to this collection.')}
+					</div>)}
 					{! this.props.visibility_control && !filtered && this.renderSellout()}
 				</div>)
 			}
@@ -931,6 +1047,10 @@ export default class EmoteMenu extends Module {
 					aria-label={emote.name}
 					data-locked={emote.locked}
 					data-sellout={sellout}
+					data-index={emote.collection_index}
+					draggable={! visibility}
+					onDragStart={visibility ? null : event => this.dragEmote(event, emote)}
+					onDragEnd={this.dragEnd}
 					onClick={(this.props.visibility_control || !emote.locked) && this.clickEmote}
 				>
 					<figure class="emote-picker__emote-figure">
@@ -1024,6 +1144,9 @@ export default class EmoteMenu extends Module {
 					aria-label={emote.name}
 					data-locked={emote.locked}
 					data-sellout={sellout}
+					draggable
+					onDragStart={event => this.dragEmote(event, emote)}
+					onDragEnd={this.dragEnd}
 					onClick={!emote.locked && this.clickEmote}
 				>
 					<figure
@@ -1180,6 +1303,7 @@ export default class EmoteMenu extends Module {
 				this.handleObserve = this.handleObserve.bind(this);
 				this.pickTone = this.pickTone.bind(this);
 				this.clickTab = this.clickTab.bind(this);
+				this.dragTab = this.dragTab.bind(this);
 				this.clickSideNav = this.clickSideNav.bind(this);
 				//this.clickRefresh = this.clickRefresh.bind(this);
 				this.handleFilterChange = this.handleFilterChange.bind(this);
@@ -1413,6 +1537,18 @@ export default class EmoteMenu extends Module {
 				});
 			}
 
+			dragTab(event) {
+				// Switch to the Favorites tab when an emote is dragged over its
+				// button, so that emotes from other tabs can be dropped into
+				// collections.
+				if ( ! dragging || this.state.combineTabs || this.state.tab === 'fav' || ! event.dataTransfer.types.includes(DRAG_TYPE) )
+					return;
+
+				this.setState({
+					tab: 'fav'
+				});
+			}
+
 			clickSettings(event) { // eslint-disable-line class-methods-use-this
 				const layout = t.resolve('site.layout');
 				if ( (layout && layout.is_minimal) || (event && (event.ctrlKey || event.shiftKey)) ) {
@@ -1584,61 +1720,41 @@ export default class EmoteMenu extends Module {
 				if ( ! sets || ! sets.length )
 					return out;
 
-				const filtering = input && input.length > 0 && input !== ':',
+				const query = input !== ':' ? parseQuery(input) : null,
+					filtering = query != null,
 					hidden_sets = storage.get('emote-menu.hidden-sets') || [];
 
 				for(const emote_set of sets) {
 					if ( ! visibility_control && hidden_sets.includes(emote_set.key) )
 						continue;
 
-					const filtered = emote_set.filtered_emotes = emote_set.emotes.filter(emote => {
-						if ( ! visibility_control && emote.hidden )
-							return false;
+					const scores = filtering ? new Map : null,
+						filtered = emote_set.filtered_emotes = emote_set.emotes.filter(emote => {
+							if ( ! visibility_control && emote.hidden )
+								return false;
 
-						return ! filtering || (! emote.locked && this.doesEmoteMatch(input, emote))
-					});
+							if ( ! filtering )
+								return true;
 
-					if ( filtered.length )
-						out.push(emote_set);
-				}
-
-				return out;
-			}
+							const score = emote.locked ? null : matchEmote(query, getSearchFields(emote));
+							if ( score == null )
+								return false;
 
-			doesEmoteMatch(filter, emote) { //eslint-disable-line class-methods-use-this
-				if ( ! filter || ! filter.length )
-					return true;
-
-				const emote_name = emote.search || emote.name,
-					emote_lower = emote_name.toLowerCase(),
-					term_lower = filter.toLowerCase(),
-					has_colon = filter.startsWith(':'),
-					term_trail = term_lower.slice(1);
-
-				if ( Array.isArray(emote.extra) ) {
-					let i = emote.extra.length;
-					while(i--) {
-						if ( ! has_colon && emote.extra[i].includes(term_lower) )
-							return true;
-						else if ( has_colon && emote.extra[i].startsWith(term_trail) )
+							scores.set(emote, score);
 							return true;
-					}
-				}
-
-				if ( ! has_colon )
-					return emote_lower.includes(term_lower);
+						});
 
-				if ( emote_lower.startsWith(term_trail) )
-					return true;
+					// Put the closest matches first.
+					if ( filtering )
+						filtered.sort((a, b) => scores.get(a) - scores.get(b));
 
-				const idx = emote_name.indexOf(filter.charAt(1).toUpperCase());
-				if ( idx !== -1 )
-					return emote_lower.slice(idx+1).startsWith(term_lower.slice(2));
+					if ( filtered.length || (emote_set.is_collection && ! filtering) )
+						out.push(emote_set);
+				}
 
-				return false;
+				return out;
 			}
 
-
 			buildEmoji(old_state) { // eslint-disable-line class-methods-use-this
 				const state = Object.assign({}, old_state),
 
@@ -1701,6 +1817,8 @@ export default class EmoteMenu extends Module {
 
 							search: emoji.names[0],
 							extra: emoji.names.length > 1 ? emoji.names.map(x => x.toLowerCase()) : null,
+							set_name: CATEGORIES[emoji.category] || emoji.category,
+							source_name: 'Emoji',
 
 							height: 18,
 							width: 18,
@@ -1723,6 +1841,10 @@ export default class EmoteMenu extends Module {
 
 				state.has_emoji_tab = sets.length > 0;
 
+				const available = this.getAvailableEmotes(state),
+					frequent = this.buildFrequent(available),
+					collections = this.buildCollections(available);
+
 				state.fav_sets = [{
 					key: 'favorites',
 
@@ -1732,8 +1854,22 @@ export default class EmoteMenu extends Module {
 					source: '',
 
 					is_favorites: true,
+					force_heading: frequent.length > 0 || collections.length > 0,
 					emotes: favorites
-				}];
+				}, ...collections];
+
+				if ( frequent.length )
+					state.fav_sets.unshift({
+						key: 'frequent',
+
+						title: 'Frequently Used',
+						i18n: 'emote-menu.frequent',
+						icon: 'clock',
+						source: '',
+
+						is_frequent: true,
+						emotes: frequent
+					});
 
 				// We use this sorter because we don't want things grouped by sets.
 				favorites.sort(this.getSorter());
@@ -1742,6 +1878,81 @@ export default class EmoteMenu extends Module {
 				return state;
 			}
 
+			getAvailableEmotes(state) { // eslint-disable-line class-methods-use-this
+				const out = new Map;
+
+				for(const set of [
+					...(state.channel_sets || []),
+					...(state.all_sets || []),
+					...(state.emoji_sets || [])
+				])
+					if ( set?.emotes )
+						for(const emote of set.emotes) {
+							if ( emote.locked )
+								continue;
+
+							const key = getUsageKey(emote).join(':');
+							if ( ! out.has(key) )
+								out.set(key, emote);
+						}
+
+				return out;
+			}
+
+			buildFrequent(available) { // eslint-disable-line class-methods-use-this
+				if ( ! t.chat.context.get('chat.emote-menu.show-frequent') )
+					return [];
+
+				const out = [];
+				for(const entry of t.emote_usage.getFrequent(t.chat.context.get('chat.emote-menu.frequent-count'))) {
+					const emote = available.get(`${entry.source}:${entry.id}`);
+					if ( emote && ! emote.hidden )
+						out.push(emote);
+				}
+
+				return out;
+			}
+
+			buildCollections(available) { // eslint-disable-line class-methods-use-this
+				return t.emotes.getCollections().map(collection => ({
+					key: `collection-${collection.id}`,
+
+					title: collection.name,
+					icon: 'docs',
+					source: t.i18n.t('emote-menu.collection', 'Collection'),
+
+					is_collection: true,
+					collection: collection.id,
+					emotes: collection.emotes.map((entry, idx) => {
+						const emote = available.get(`${entry.source}:${entry.id}`);
+						if ( emote )
+							return Object.assign({}, emote, {
+								hidden: false,
+								collection_index: idx
+							});
+
+						// Show a placeholder for emotes that aren't available here.
+						const is_twitch = entry.source === 'twitch',
+							is_emoji = entry.source === 'emoji';
+
+						return {
+							provider: is_twitch ? 'twitch' : is_emoji ? 'emoji' : 'ffz',
+							id: entry.id,
+							source: entry.source,
+							emoji: is_emoji,
+							code: is_emoji ? entry.id : undefined,
+							name: entry.name,
+							src: entry.src || (is_twitch ? getTwitchEmoteURL(entry.id, 1) : null),
+							srcSet: entry.srcSet || (is_twitch ? getTwitchEmoteSrcSet(entry.id) : null),
+							locked: true,
+							unavailable: true,
+							lock_icon: 'attention',
+							collection_index: idx
+						};
+					})
+				}));
+			}
+
 			getAllSets() {
 				return [
 					...(this.state.channel_sets || []),
@@ -1751,7 +1962,26 @@ export default class EmoteMenu extends Module {
 			}
 
 			getSorter() { // eslint-disable-line class-methods-use-this
-				return EMOTE_SORTERS[t.chat.context.get('chat.emote-menu.sort-emotes')] || EMOTE_SORTERS[0] || (() => 0);
+				const mode = t.chat.context.get('chat.emote-menu.sort-emotes');
+				if ( mode === 6 ) {
+					// Scores are cached for each sort since they
+					// decay based on the current time.
+					const scores = new Map,
+						fallback = EMOTE_SORTERS[4],
+						get_score = emote => {
+							let score = scores.get(emote);
+							if ( score == null ) {
+								score = t.emote_usage.getScore(...getUsageKey(emote));
+								scores.set(emote, score);
+							}
+
+							return score;
+						};
+
+					return (a, b) => (get_score(b) - get_score(a)) || fallback(a, b);
+				}
+
+				return EMOTE_SORTERS[mode] || EMOTE_SORTERS[0] || (() => 0);
 			}
 
 			buildState(props, old_state) {
@@ -1984,6 +2214,7 @@ export default class EmoteMenu extends Module {
 								image_large: true,
 								icon,
 								title,
+								owner: chan?.login,
 								source: t.i18n.t('emote-menu.twitch', 'Twitch'),
 								emotes,
 								renews: set_data?.renews,
@@ -2053,6 +2284,10 @@ export default class EmoteMenu extends Module {
 									overridden: overridden ? mapped.id : null,
 									misc: ! chan,
 									bits: is_bits,
+									animated: emote.assetType === 'ANIMATED',
+									set_name: section.title,
+									source_name: section.source,
+									owner: section.owner,
 									hidden: twitch_hidden.includes(new_id),
 									favorite: is_fav
 								};
@@ -2144,7 +2379,10 @@ export default class EmoteMenu extends Module {
 									favorite: is_fav,
 									hidden: twitch_hidden.includes(id),
 									locked: follower_locked,
-									lock_icon: 'heart'
+									lock_icon: 'heart',
+									set_name: section.title,
+									source_name: section.source,
+									owner: user.login
 								};
 
 								emotes.push(em);
@@ -2218,7 +2456,10 @@ export default class EmoteMenu extends Module {
 									animSrc: getTwitchEmoteURL(id, 1, true),
 									animSrcSet: getTwitchEmoteSrcSet(id, true),
 									favorite: is_fav,
-									hidden: twitch_hidden.includes(id)
+									hidden: twitch_hidden.includes(id),
+									set_name: section.title,
+									source_name: section.source,
+									owner: user.login
 								};
 
 								emotes.push(em);
@@ -2281,7 +2522,10 @@ export default class EmoteMenu extends Module {
 								bits: true,
 								bit_value: summary.threshold,
 								favorite: is_fav,
-								hidden: twitch_hidden.includes(id)
+								hidden: twitch_hidden.includes(id),
+								set_name: section.title,
+								source_name: section.source,
+								owner: user.login
 							};
 
 							emotes.push(em);
@@ -2514,12 +2758,18 @@ export default class EmoteMenu extends Module {
 								provider: 'ffz',
 								id: emote.id,
 								set_id: emote_set.id,
+								source: fav_key,
 								src: emote.src,
 								srcSet: emote.srcSet,
 								animSrc: emote.animSrc,
 								animSrcSet: emote.animSrcSet,
 								effects: emote.modifier ? emote.modifier_flags : 0,
+								modifier: emote.modifier,
+								animated: !! emote.animSrc,
+								owner: emote.owner?.name,
 								name: emote.name,
+								set_name: title,
+								source_name: source,
 								favorite: is_fav,
 								locked: locked,
 								hidden: known_hidden.includes(emote.id),
@@ -2705,7 +2955,7 @@ export default class EmoteMenu extends Module {
 										<div ref={this.saveScrollRef} class="simplebar-scroll-content">
 											<div class="simplebar-content">
 												{loading && this.renderLoading()}
-												{!loading && sets && sets.map((data,idx) => data && (! visibility || (! data.emoji && ! data.is_favorites)) && createElement(
+												{!loading && sets && sets.map((data,idx) => data && (! visibility || (! data.emoji && ! data.is_favorites && ! data.is_frequent)) && createElement(
 													data.emoji ? t.EmojiSection : t.MenuSection,
 													{
 														key: data.key,
@@ -2738,7 +2988,7 @@ export default class EmoteMenu extends Module {
 											<div ref={this.saveNavRef} class="simplebar-scroll-content">
 												<div class="simplebar-content">
 													{!loading && sets && sets.map(data => {
-														if ( ! data || (visibility && (data.is_favorites || data.emoji)) )
+														if ( ! data || (visibility && (data.is_favorites || data.is_frequent || data.emoji)) )
 															return null;
 
 														const active = this.state.active_nav === data.key;
@@ -2831,6 +3081,7 @@ export default class EmoteMenu extends Module {
 												data-tooltip-type="html"
 												data-title={t.i18n.t('emote-menu.favorites', 'Favorites')}
 												onClick={this.clickTab}
+												onDragEnter={this.dragTab}
 											>
 												<div class="tw-inline-flex tw-pd-x-1 tw-pd-y-05 tw-font-size-4">
 													<figure class="ffz-i-star" />
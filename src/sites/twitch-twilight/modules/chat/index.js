@@ -5,7 +5,7 @@
 // ============================================================================
 
 import {Color, ColorAdjuster} from 'utilities/color';
-import {get, has, make_enum, shallow_object_equals, set_equals, deep_equals} from 'utilities/object';
+import {get, has, make_enum, maybe_call, shallow_object_equals, set_equals, deep_equals} from 'utilities/object';
 import {WEBKIT_CSS as WEBKIT} from 'utilities/constants';
 import {FFZEvent} from 'utilities/events';
 import {useFont} from 'utilities/fonts';
@@ -20,6 +20,7 @@ import SettingsMenu from './settings_menu';
 import EmoteMenu from './emote_menu';
 import Input from './input';
 import ViewerCards from './viewer_card';
+import KeyboardMode from './keyboard';
 import { isHighlightedReward } from './points';
 
 
@@ -161,6 +162,11 @@ const MISBEHAVING_EVENTS = [
 ];
 
 
+function normalizeContent(message) {
+	return message.trim().replace(/\s+/g, ' ');
+}
+
+
 export default class ChatHook extends Module {
 	constructor(...args) {
 		super(...args);
@@ -189,6 +195,7 @@ export default class ChatHook extends Module {
 		this.inject(EmoteMenu);
 		this.inject(Input);
 		this.inject(ViewerCards);
+		this.inject(KeyboardMode);
 
 		this.ChatService = this.fine.define(
 			'chat-service',
@@ -308,17 +315,41 @@ export default class ChatHook extends Module {
 			type: 'array_merge',
 			always_inherit: true,
 			process(ctx, val) {
+				// Types that are blocked everywhere are stored in the set
+				// itself. Types that are limited to certain channels are
+				// stored separately in `scoped`.
 				const out = new Set;
-				for(const v of val)
-					if ( v?.v || ! UNBLOCKABLE_TYPES.includes(v.v) )
+				out.scoped = new Map;
+
+				for(const v of val) {
+					if ( ! v?.v || UNBLOCKABLE_TYPES.includes(v.v) )
+						continue;
+
+					const channels = Array.isArray(v.channels) ? v.channels.filter(x => x) : null;
+					if ( ! channels?.length ) {
 						out.add(v.v);
+						continue;
+					}
+
+					let rules = out.scoped.get(v.v);
+					if ( ! rules )
+						out.scoped.set(v.v, rules = []);
+
+					rules.push({
+						exclude: !! v.exclude,
+						channels: new Set(channels.map(x => x.toLowerCase()))
+					});
+				}
 
 				return out;
 			},
 
 			ui: {
-				path: 'Chat > Filtering > Block >> Message Types @{"description":"This filter allows you to remove all messages of a certain type from Twitch chat. It can be used to filter system messages, such as Hosts or Raids. Some types, such as moderation actions, cannot be blocked to prevent chat functionality from breaking."}',
+				path: 'Chat > Filtering > Block >> Message Types @{"description":"This filter allows you to remove all messages of a certain type from Twitch chat. It can be used to filter system messages, such as Hosts or Raids. Some types, such as moderation actions, cannot be blocked to prevent chat functionality from breaking.\\n\\nEach type can be blocked in every channel, only in certain channels, or in every channel except certain channels."}',
 				component: 'blocked-types',
+				channels: true,
+				previews: true,
+				renderPreview: record => this.resolve('chat.archive').renderMessage(record),
 				data: () => Object
 					.keys(this.chat_types)
 					.filter(key => ! UNBLOCKABLE_TYPES.includes(key) && ! /^\d+$/.test(key))
@@ -1434,7 +1465,7 @@ export default class ChatHook extends Module {
 			if ( ! reward )
 				return;
 
-			if ( ! this.chat.context.get('chat.filtering.blocked-types').has('ChannelPointsReward') ) {
+			if ( ! this.isTypeBlocked('ChannelPointsReward', service.props.channelLogin) ) {
 				const msg = {
 					id: data.id,
 					type: this.chat_types.Message,
@@ -1664,10 +1695,9 @@ export default class ChatHook extends Module {
 				if ( msg ) {
 					try {
 						const types = t.chat_types || {},
-							mod_types = t.mod_types || {},
-							blocked_types = t.chat.context.get('chat.filtering.blocked-types');
+							mod_types = t.mod_types || {};
 
-						if ( blocked_types.has(types[msg.type]) )
+						if ( t.isTypeBlocked(types[msg.type], () => msg.channel || (inst._ffz_connector ?? inst.ffzGetConnector())?.props?.channelLogin) )
 							return;
 
 						if ( msg.type === types.ChannelPointsReward )
@@ -1724,6 +1754,13 @@ export default class ChatHook extends Module {
 						} */ else if ( msg.type === types.Moderation ) {
 							t.emit('chat:mod-user', msg.moderationType, msg.userLogin, msg.targetMessageID, msg);
 
+							// With adaptive delay, a moderator has now seen this user so
+							// there's no reason to keep holding their messages.
+							if ( msg.userLogin && t.chat.context.get('chat.delay.adaptive') )
+								for(const entry of inst.delayedMessageBuffer)
+									if ( entry.shouldDelay && entry.event?.user?.userLogin === msg.userLogin )
+										entry.ffz_release = true;
+
 							// Special handling
 							if ( ! inst.props.isCurrentUserModerator ) {
 								const type = msg.moderationType,
@@ -2018,6 +2055,8 @@ export default class ChatHook extends Module {
 						this.buffer = buffer.slice(removed % 2 !== 0 ? Math.max(target - 4, last) : target);
 						this.ffz_extra = buffer.length - count;
 
+						t.pruneMergedMessages(this.buffer);
+
 					} else {
 						this.ffz_extra = 0;
 						this.buffer = this.buffer.slice(0);
@@ -2053,6 +2092,8 @@ export default class ChatHook extends Module {
 					raw_delay = t.chat.context.get('chat.delay'),
 					delay = raw_delay === -1 ? this.delayDuration : raw_delay,
 					first = now - delay,
+					adaptive = delay > 0 && t.chat.context.get('chat.delay.adaptive'),
+					merge = t.chat.context.get('chat.merge-repeated'),
 					see_deleted = this.shouldSeeBlockedAndDeletedMessages || this.props && this.props.shouldSeeBlockedAndDeletedMessages,
 					has_newer = this.hasNewerLeft(),
 					paused = this.isPaused(),
@@ -2067,7 +2108,7 @@ export default class ChatHook extends Module {
 					event;
 
 				for(const msg of this.delayedMessageBuffer) {
-					if ( msg.time <= first || ! msg.shouldDelay ) {
+					if ( msg.time <= first || ! msg.shouldDelay || (adaptive && t.canReleaseDelayed(msg)) ) {
 						if ( do_remove !== 0 && (do_remove > 1 || ! see_deleted) && this.isDeletable(msg.event) && msg.event.deleted )
 							continue;
 
@@ -2120,6 +2161,9 @@ export default class ChatHook extends Module {
 								});
 						}*/
 
+						if ( merge && msg.event.type === ct.Message )
+							t.mergeRepeatedMessage(this.buffer, msg.event);
+
 						this.buffer.push(msg.event);
 						changed = true;
 
@@ -2175,6 +2219,183 @@ export default class ChatHook extends Module {
 	}
 
 
+	/**
+	 * Check whether or not a message type is blocked in a channel by the
+	 * `chat.filtering.blocked-types` setting.
+	 *
+	 * @param {String} type The name of the message type.
+	 * @param {String|Function} [channel] The login of the channel. This can
+	 * be a function, in which case it is only called if the type has rules
+	 * for specific channels.
+	 * @returns {Boolean} Whether or not the type is blocked.
+	 */
+	isTypeBlocked(type, channel) {
+		const blocked = this.chat.context.get('chat.filtering.blocked-types');
+		if ( blocked.has(type) )
+			return true;
+
+		const rules = blocked.scoped?.get(type);
+		if ( ! rules )
+			return false;
+
+		channel = maybe_call(channel, this);
+		if ( typeof channel !== 'string' || ! channel.length )
+			return false;
+
+		if ( channel.startsWith('#') )
+			channel = channel.slice(1);
+
+		channel = channel.toLowerCase();
+
+		for(const rule of rules)
+			if ( rule.channels.has(channel) !== rule.exclude )
+				return true;
+
+		return false;
+	}
+
+
+	/**
+	 * Merge a chat message into the line before it if they have the same
+	 * content, for the `chat.merge-repeated` setting. Merged messages are
+	 * kept in the buffer but aren't rendered until the line is expanded.
+	 *
+	 * Content is compared after the same normalization as
+	 * {@link Chat#standardizeMessage}, using `detokenizeMessage`. Surrounding
+	 * whitespace is also ignored and runs of whitespace collapsed, since
+	 * people often add spaces to get around Twitch's duplicate message check.
+	 *
+	 * @param {Object[]} buffer The chat buffer the message is being added to.
+	 * @param {Object} msg The new message.
+	 * @returns {Boolean} Whether or not the message was merged.
+	 */
+	mergeRepeatedMessage(buffer, msg) {
+		const last = buffer[buffer.length - 1];
+		if ( ! last || msg.deleted || msg.ffz_type )
+			return false;
+
+		// Only merge into a head that is still in the buffer. Otherwise, the
+		// new message starts a new head.
+		const head = last.ffz_merge_head || last;
+		if ( head !== last && ! buffer.includes(head) )
+			return false;
+
+		if ( head.type !== msg.type || head.messageType !== msg.messageType || head.ffz_type || head.deleted || head.ffz_merge_expanded )
+			return false;
+
+		const content = this.getMergeContent(msg);
+		if ( ! content || content !== this.getMergeContent(head) )
+			return false;
+
+		if ( ! head.ffz_merged )
+			head.ffz_merged = [head];
+
+		head.ffz_merged.push(msg);
+		msg.ffz_merge_head = head;
+		return true;
+	}
+
+
+	getMergeContent(msg) {
+		if ( ! msg.message && msg.messageParts )
+			this.chat.detokenizeMessage(msg);
+
+		if ( typeof msg.message !== 'string' )
+			return null;
+
+		return normalizeContent(msg.message);
+	}
+
+
+	/**
+	 * Make sure that every merged message in a buffer still has a head that
+	 * can stand in for it. When a head has been trimmed from the scrollback
+	 * or deleted, its messages are split back out with
+	 * {@link ChatHook#unmergeMessage}.
+	 *
+	 * @param {Object[]} buffer The chat buffer.
+	 * @returns {void}
+	 */
+	pruneMergedMessages(buffer) {
+		let present;
+
+		for(const msg of buffer) {
+			const head = msg?.ffz_merge_head;
+			if ( ! head )
+				continue;
+
+			if ( ! present )
+				present = new Set(buffer);
+
+			if ( head.deleted || ! present.has(head) )
+				this.unmergeMessage(head, present);
+		}
+	}
+
+
+	/**
+	 * Split the messages merged into a line back out, for when that line
+	 * can't stand in for them anymore. The first remaining message becomes
+	 * the head of the rest, unless the line was expanded, in which case the
+	 * messages are already visible and are left on their own.
+	 *
+	 * @param {Object} head The line other messages were merged into.
+	 * @param {Set} [present] If set, only messages in this set are kept.
+	 * @returns {void}
+	 */
+	unmergeMessage(head, present) { // eslint-disable-line class-methods-use-this
+		const merged = head.ffz_merged;
+		head.ffz_merged = null;
+
+		if ( ! Array.isArray(merged) )
+			return;
+
+		const rest = merged.filter(msg => msg !== head && msg.ffz_merge_head === head && (! present || present.has(msg)));
+		if ( ! rest.length )
+			return;
+
+		const new_head = rest[0];
+		new_head.ffz_merge_head = null;
+
+		if ( head.ffz_merge_expanded || rest.length === 1 ) {
+			for(const msg of rest)
+				msg.ffz_merge_head = null;
+			return;
+		}
+
+		new_head.ffz_merged = rest;
+		for(let i = 1; i < rest.length; i++)
+			rest[i].ffz_merge_head = new_head;
+	}
+
+
+	/**
+	 * Check whether or not an entry in a chat buffer's delayed message
+	 * buffer can be shown before the delay is up when using the
+	 * `chat.delay.adaptive` setting. This is the case for messages that
+	 * do not match the `chat.delay.rules` setting, messages that have
+	 * been removed, and messages from users that a moderator has
+	 * taken action on.
+	 *
+	 * @param {Object} entry The entry from the delayed message buffer.
+	 * @returns {Boolean} Whether or not the message can be shown.
+	 */
+	canReleaseDelayed(entry) {
+		const msg = entry.event;
+		if ( entry.ffz_release || ! msg || msg.deleted )
+			return true;
+
+		if ( entry.ffz_risky == null )
+			entry.ffz_risky = this.chat.actions.testFilter(
+				this.chat.context.get('chat.delay.rules'),
+				msg,
+				{id: msg.roomID, login: msg.roomLogin}
+			);
+
+		return ! entry.ffz_risky;
+	}
+
+
 	sendMessage(room, message) {
 		const service = this.ChatService.first;
 
@@ -2320,7 +2541,7 @@ export default class ChatHook extends Module {
 				const old_sub = this.onSubscriptionEvent;
 				this.onSubscriptionEvent = function(e) {
 					try {
-						if ( t.chat.context.get('chat.filtering.blocked-types').has('Subscription') )
+						if ( t.isTypeBlocked('Subscription', e.channel) )
 							return;
 
 						if ( t.disable_handling )
@@ -2362,7 +2583,7 @@ export default class ChatHook extends Module {
 				const old_resub = this.onResubscriptionEvent;
 				this.onResubscriptionEvent = function(e) {
 					try {
-						if ( t.chat.context.get('chat.filtering.blocked-types').has('Resubscription') )
+						if ( t.isTypeBlocked('Resubscription', e.channel) )
 							return;
 
 						if ( t.disable_handling )
@@ -2396,7 +2617,7 @@ export default class ChatHook extends Module {
 				const old_subgift = this.onSubscriptionGiftEvent;
 				this.onSubscriptionGiftEvent = function(e) {
 					try {
-						if ( t.chat.context.get('chat.filtering.blocked-types').has('SubGift') )
+						if ( t.isTypeBlocked('SubGift', e.channel) )
 							return;
 
 						if ( t.disable_handling )
@@ -2454,7 +2675,7 @@ export default class ChatHook extends Module {
 						if ( t.disable_handling )
 							return old_communityintro.call(this, e);
 
-						if ( t.chat.context.get('chat.filtering.blocked-types').has('CommunityIntroduction') ) {
+						if ( t.isTypeBlocked('CommunityIntroduction', e.channel) ) {
 							const out = i.convertMessage(e);
 							return i.postMessageToCurrentChannel(e, out);
 						}
@@ -2470,7 +2691,7 @@ export default class ChatHook extends Module {
 				const old_anonsubgift = this.onAnonSubscriptionGiftEvent;
 				this.onAnonSubscriptionGiftEvent = function(e) {
 					try {
-						if ( t.chat.context.get('chat.filtering.blocked-types').has('AnonSubGift') )
+						if ( t.isTypeBlocked('AnonSubGift', e.channel) )
 							return;
 
 						if ( t.disable_handling )
@@ -2526,7 +2747,7 @@ export default class ChatHook extends Module {
 				const old_submystery = this.onSubscriptionMysteryGiftEvent;
 				this.onSubscriptionMysteryGiftEvent = function(e) {
 					try {
-						if ( t.chat.context.get('chat.filtering.blocked-types').has('SubMysteryGift') )
+						if ( t.isTypeBlocked('SubMysteryGift', e.channel) )
 							return;
 
 						if ( t.disable_handling )
@@ -2564,7 +2785,7 @@ export default class ChatHook extends Module {
 				const old_anonsubmystery = this.onAnonSubscriptionMysteryGiftEvent;
 				this.onAnonSubscriptionMysteryGiftEvent = function(e) {
 					try {
-						if ( t.chat.context.get('chat.filtering.blocked-types').has('AnonSubMysteryGift') )
+						if ( t.isTypeBlocked('AnonSubMysteryGift', e.channel) )
 							return;
 
 						if ( t.disable_handling )
@@ -2601,7 +2822,7 @@ export default class ChatHook extends Module {
 				const old_ritual = this.onRitualEvent;
 				this.onRitualEvent = function(e) {
 					try {
-						if ( t.chat.context.get('chat.filtering.blocked-types').has('Ritual') )
+						if ( t.isTypeBlocked('Ritual', e.channel) )
 							return;
 
 						if ( t.disable_handling )
@@ -2622,7 +2843,7 @@ export default class ChatHook extends Module {
 				const old_points = this.onChannelPointsRewardEvent;
 				this.onChannelPointsRewardEvent = function(e) {
 					try {
-						if ( t.chat.context.get('chat.filtering.blocked-types').has('ChannelPointsReward') )
+						if ( t.isTypeBlocked('ChannelPointsReward', e.channel) )
 							return;
 
 						if ( t.disable_handling )
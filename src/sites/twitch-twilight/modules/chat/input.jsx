@@ -11,6 +11,7 @@ import { getTwitchEmoteSrcSet, has, getTwitchEmoteURL } from 'utilities/object';
 import { TWITCH_POINTS_SETS, TWITCH_GLOBAL_SETS, TWITCH_PRIME_SETS, KNOWN_CODES, REPLACEMENTS, REPLACEMENT_BASE, KEYS } from 'utilities/constants';
 
 import Twilight from 'site';
+import { parseQuery, matchEmote, getSearchFields, EXACT_PREFIX_MATCH as EXACT_PREFIX_SCORE, CASE_INSENSITIVE_PREFIX_MATCH as CASE_INSENSITIVE_PREFIX_SCORE, FUZZY_MATCH } from 'src/modules/chat/emote_search';
 
 // Prefer using these statically-allocated collators to String.localeCompare
 const locale = Intl.Collator();
@@ -23,6 +24,19 @@ const NON_PREFIX_MATCH = 1;
 const CASE_INSENSITIVE_PREFIX_MATCH = 2;
 const EXACT_PREFIX_MATCH = 3;
 
+function getMatchType(score) {
+	if ( score == null )
+		return NO_MATCH;
+
+	if ( score === EXACT_PREFIX_SCORE )
+		return EXACT_PREFIX_MATCH;
+
+	if ( score === CASE_INSENSITIVE_PREFIX_SCORE )
+		return CASE_INSENSITIVE_PREFIX_MATCH;
+
+	return NON_PREFIX_MATCH;
+}
+
 function getNodeText(node) {
 	if ( ! node )
 		return '';
@@ -63,6 +77,7 @@ export default class Input extends Module {
 		this.inject('chat.actions');
 		this.inject('chat.emotes');
 		this.inject('chat.emoji');
+		this.inject('chat.emote_usage');
 		this.inject('i18n');
 		this.inject('settings');
 
@@ -137,6 +152,16 @@ export default class Input extends Module {
 			}
 		});
 
+		this.settings.add('chat.tab-complete.prioritize-frequent', {
+			default: false,
+			ui: {
+				path: 'Chat > Input >> Tab Completion',
+				title: 'Prioritize frequently used emotes at the top.',
+				description: 'Emotes you have sent more often recently are listed first. This requires emote usage tracking to be enabled in [Chat > Emote Menu](~chat.emote_menu).',
+				component: 'setting-check-box'
+			}
+		});
+
 		this.settings.add('chat.tab-complete.prioritize-prefix-matches', {
 			default: false,
 			ui: {
@@ -331,6 +356,30 @@ export default class Input extends Module {
 		this.on('chat.emotes:update-user-sets', this.uncacheTabCompletion, this);
 		this.on('chat.emotes:update-room-sets', this.uncacheTabCompletion, this);
 		this.on('site.css_tweaks:update-chat-css', this.resizeInput, this);
+		this.on('chat:pre-send-message', this.recordEmoteUsage, this);
+	}
+
+	recordEmoteUsage(event) {
+		const msg = event.message;
+		if ( event.defaultPrevented || ! msg || (msg.startsWith('/') && ! /^\/me /i.test(msg)) )
+			return;
+
+		let twitch = null;
+		for(const inst of this.EmoteSuggestions.instances) {
+			if ( inst.ffz_twitch_cache?.length !== inst.props.emotes?.length || inst.ffz_twitch_cache.channel_id !== inst._ffz_channel_id )
+				inst.ffz_twitch_cache = this.buildTwitchCache(inst.props.emotes, inst._ffz_channel_id);
+
+			twitch = inst.ffz_twitch_cache.emotes;
+			break;
+		}
+
+		const user = this.resolve('site').getUser(),
+			room = this.chat.getRoom(null, event.channel, true);
+
+		this.emote_usage.recordMessage(msg, user, {
+			id: room?.id,
+			login: event.channel
+		}, twitch);
 	}
 
 	uncacheTabCompletion() {
@@ -839,27 +888,21 @@ export default class Input extends Module {
 				: input.startsWith(':') ? input.length < 3 ? null : inst.getMatchedEmotes(input) : null;
 		}
 
-		inst.doesEmoteMatchTerm = function(emote, term) {
-			const emote_name = emote.name || emote.token;
-			if ( ! emote_name )
-				return NO_MATCH;
-
-			if (emote_name.startsWith(term))
-				return EXACT_PREFIX_MATCH;
-
-			let emote_lower = emote.tokenLower;
-			if ( ! emote_lower )
-				emote_lower = emote_name.toLowerCase();
+		// This uses the same matching as the emote menu's search, so
+		// we cache the parsed term since it's the same for every emote.
+		let last_term, last_query;
 
-			const term_lower = term.toLowerCase();
-			if (emote_lower.startsWith(term_lower))
-				return CASE_INSENSITIVE_PREFIX_MATCH;
+		inst.getEmoteMatchScore = function(emote, term) {
+			if ( term !== last_term ) {
+				last_term = term;
+				last_query = parseQuery(term);
+			}
 
-			const idx = emote_name.indexOf(term.charAt(0).toUpperCase());
-			if (idx !== -1 && emote_lower.slice(idx + 1).startsWith(term_lower.slice(1)))
-				return NON_PREFIX_MATCH;
+			return matchEmote(last_query, getSearchFields(emote));
+		}
 
-			return NO_MATCH;
+		inst.doesEmoteMatchTerm = function(emote, term) {
+			return getMatchType(inst.getEmoteMatchScore(emote, term));
 		}
 
 		inst.getMatchedEmotes = function(input) {
@@ -922,6 +965,7 @@ export default class Input extends Module {
 	// eslint-disable-next-line class-methods-use-this
 	sortEmotes(emotes) {
 		const preferFavorites = this.chat.context.get('chat.tab-complete.prioritize-favorites');
+		const preferFrequent = this.chat.context.get('chat.tab-complete.prioritize-frequent');
 		const canBeTriggeredByTab = this.chat.context.get('chat.tab-complete.emotes-without-colon');
 		const prioritizePrefixMatches = this.chat.context.get('chat.tab-complete.prioritize-prefix-matches');
 
@@ -929,10 +973,20 @@ export default class Input extends Module {
 			const aStr = a.matched || a.replacement;
 			const bStr = b.matched || b.replacement;
 
+			// Put fuzzy matches after everything else, closest first
+			const aFuzzy = a.score >= FUZZY_MATCH ? a.score : 0;
+			const bFuzzy = b.score >= FUZZY_MATCH ? b.score : 0;
+			if (aFuzzy !== bFuzzy)
+				return aFuzzy - bFuzzy;
+
 			// Prefer favorites over non-favorites, if enabled
 			if (preferFavorites && (a.favorite ^ b.favorite))
 				return 0 - a.favorite + b.favorite;
 
+			// Prefer emotes that are used more often, if enabled
+			if (preferFrequent && a.usage !== b.usage)
+				return (b.usage || 0) - (a.usage || 0);
+
 			if (prioritizePrefixMatches) {
 				// Prefer emoji over emotes if tab-complete is enabled, disprefer them otherwise
 				const aIsEmoji = !!a.matched;
@@ -968,12 +1022,13 @@ export default class Input extends Module {
 	}
 
 
-	buildTwitchCache(emotes) {
+	buildTwitchCache(emotes, channel_id) {
 		if ( ! Array.isArray(emotes) )
-			return {emotes: [], length: 0};
+			return {emotes: [], length: 0, channel_id};
 
 		const out = [],
 			seen = new Set,
+			source_name = this.i18n.t('emote-menu.twitch', 'Twitch'),
 			anim = this.chat.context.get('chat.emotes.animated') > 0,
 			hidden_sets = this.settings.provider.get('emote-menu.hidden-sets'),
 			has_hidden = Array.isArray(hidden_sets) && hidden_sets.length > 0,
@@ -990,21 +1045,30 @@ export default class Input extends Module {
 			if ( set.id === 'FrankerFaceZWasHere' )
 				continue;
 
+			// Use the same set names as the emote menu, so that searches
+			// with `set:` work the same way in both.
 			let key = `twitch-set-${set.id}`;
-			let extra = null;
+			let set_name;
 
 			if ( channel?.login ) {
 				key = `twitch-${channel.id}`;
-				extra = channel.displayName || channel.login;
+				set_name = channel.id === channel_id ?
+					this.i18n.t('emote-menu.main-set', 'Channel Emotes') :
+					(channel.displayName || channel.login);
 
-			} else if ( is_points )
+			} else if ( is_points ) {
 				key = 'twitch-points';
-			else if ( TWITCH_GLOBAL_SETS.includes(int_id) )
+				set_name = this.i18n.t('emote-menu.points', 'Unlocked with Points');
+			} else if ( TWITCH_GLOBAL_SETS.includes(int_id) ) {
 				key = 'twitch-global';
-			else if ( TWITCH_PRIME_SETS.includes(int_id) )
+				set_name = this.i18n.t('emote-menu.global', 'Global Emotes');
+			} else if ( TWITCH_PRIME_SETS.includes(int_id) ) {
 				key = 'twitch-prime';
-			else
+				set_name = this.i18n.t('emote_menu.prime', 'Prime');
+			} else {
 				key = 'twitch-misc';
+				set_name = this.i18n.t('emote-menu.misc', 'Miscellaneous');
+			}
 
 			if ( has_hidden && hidden_sets.includes(key) )
 				continue;
@@ -1031,9 +1095,13 @@ export default class Input extends Module {
 
 				out.push({
 					id,
+					provider: 'twitch',
 					source: key,
-					extra,
+					source_name,
+					set_name,
+					owner: channel?.login,
 					setID: set.id,
+					animated: emote.assetType === 'ANIMATED',
 					token,
 					tokenLower: token.toLowerCase(),
 					srcSet,
@@ -1044,14 +1112,15 @@ export default class Input extends Module {
 
 		return {
 			emotes: out,
-			length: emotes.length
+			length: emotes.length,
+			channel_id
 		}
 	}
 
 
 	getTwitchEmoteSuggestions(input, inst) {
-		if ( inst.ffz_twitch_cache?.length !== inst.props.emotes?.length )
-			inst.ffz_twitch_cache = this.buildTwitchCache(inst.props.emotes);
+		if ( inst.ffz_twitch_cache?.length !== inst.props.emotes?.length || inst.ffz_twitch_cache.channel_id !== inst._ffz_channel_id )
+			inst.ffz_twitch_cache = this.buildTwitchCache(inst.props.emotes, inst._ffz_channel_id);
 
 		const emotes = inst.ffz_twitch_cache.emotes;
 
@@ -1065,7 +1134,8 @@ export default class Input extends Module {
 			search = input.startsWith(':') ? input.slice(1) : input;
 
 		for(const emote of emotes) {
-			const match_type = inst.doesEmoteMatchTerm(emote, search);
+			const score = inst.getEmoteMatchScore(emote, search),
+				match_type = getMatchType(score);
 			if ( match_type !== NO_MATCH ) {
 				const element = {
 					current: input,
@@ -1073,7 +1143,9 @@ export default class Input extends Module {
 					replacement: emote.token,
 					element: inst.renderEmoteSuggestion(emote),
 					favorite: emote.favorite,
+					usage: this.emote_usage.getScore('twitch', emote.id),
 					count: this.EmoteUsageCount[emote.token] || 0,
+					score,
 					match_type
 				};
 
@@ -1137,7 +1209,8 @@ export default class Input extends Module {
 							srcSet,
 							favorite
 						}),
-						favorite
+						favorite,
+						usage: this.emote_usage.getScore('emoji', emoji.code)
 					});
 				}
 			}
@@ -1155,14 +1228,24 @@ export default class Input extends Module {
 			anim = this.chat.context.get('chat.emotes.animated') > 0,
 			hidden_sets = this.settings.provider.get('emote-menu.hidden-sets'),
 			has_hidden = Array.isArray(hidden_sets) && hidden_sets.length > 0,
-			added_emotes = new Set;
+			added_emotes = new Set,
+			providers = new Map(this.emotes.getRoomSetIDsWithSources(user_id, user_login, channel_id, channel_login));
 
 		for(const set of sets) {
 			if ( ! set || ! set.emotes )
 				continue;
 
+			// Use the same set and source names as the emote menu, so that
+			// searches with `set:` and `provider:` work the same way in both.
 			const source = set.source || 'ffz',
-				source_line = set.source_line || (`${set.source || 'FFZ'} ${set.title || 'Global'}`),
+				provider = providers.get(set.id),
+				pdata = provider && this.emotes.providers.get(provider),
+				source_name = pdata?.name ?
+					(pdata.i18n_key ? this.i18n.t(pdata.i18n_key, pdata.name, pdata) : pdata.name) :
+					set.source || 'FFZ',
+				set_name = provider === 'main' ?
+					this.i18n.t('emote-menu.main-set', 'Channel Emotes') :
+					(set.title || this.i18n.t('emote-menu.unknown-set', 'Set #{set_id}', {set_id: set.id})),
 				key = `${set.merge_source || source}-${set.merge_id || set.id}`;
 
 			if ( has_hidden && hidden_sets.includes(key) )
@@ -1182,8 +1265,14 @@ export default class Input extends Module {
 
 				out.push({
 					id: `${source}-${emote.id}`,
+					emote_id: emote.id,
+					provider: 'ffz',
 					source,
-					extra: source_line,
+					source_name,
+					set_name,
+					owner: emote.owner?.name,
+					animated: !! emote.animSrc,
+					modifier: emote.modifier,
 					token: emote.name,
 					tokenLower: emote.name.toLowerCase(),
 					srcSet: anim && emote.animSrcSet || emote.srcSet,
@@ -1225,7 +1314,8 @@ export default class Input extends Module {
 			results = [];
 
 		for(const emote of emotes) {
-			const match_type = inst.doesEmoteMatchTerm(emote, search)
+			const score = inst.getEmoteMatchScore(emote, search),
+				match_type = getMatchType(score);
 			if ( match_type !== NO_MATCH )
 				results.push({
 					current: input,
@@ -1233,7 +1323,9 @@ export default class Input extends Module {
 					replacement: emote.token,
 					element: inst.renderEmoteSuggestion(emote),
 					favorite: emote.favorite,
+					usage: this.emote_usage.getScore(emote.source, emote.emote_id),
 					count: 0, // TODO: Count stuff?
+					score,
 					match_type
 				});
 		}
@@ -0,0 +1,324 @@
+'use strict';
+
+// ============================================================================
+// Keyboard Moderation Mode
+// ============================================================================
+
+import Module from 'utilities/module';
+import {isValidShortcut} from 'utilities/object';
+
+const CURSOR_CLASS = 'ffz--keyboard-cursor';
+
+const NAV_KEYS = {
+	ArrowUp: -1,
+	ArrowDown: 1,
+	PageUp: -10,
+	PageDown: 10,
+	Home: -Infinity,
+	End: Infinity
+};
+
+export default class KeyboardMode extends Module {
+	constructor(...args) {
+		super(...args);
+
+		this.inject('settings');
+		this.inject('i18n');
+		this.inject('chat');
+		this.inject('chat.actions');
+		this.inject('site.fine');
+		this.inject('site.web_munch');
+		this.inject('site.chat.scroller');
+
+		this.settings.add('chat.keyboard-mode.hotkey', {
+			default: null,
+			ui: {
+				path: 'Chat > Actions > Keyboard Mode @{"description": "Keyboard Mode lets you moderate chat without using your mouse. While it is active, chat is paused and you can select messages with the arrow keys, Page Up, Page Down, Home and End. Press Escape to leave Keyboard Mode.\\n\\nTo run an action on the selected message, give the action a hotkey by editing it in the In-Line, Message Hover or User Context action lists."} >> General',
+				title: 'Shortcut Key',
+				description: 'This key sequence can be used to enter or leave Keyboard Mode.',
+				component: 'setting-hotkey'
+			},
+			changed: () => this.updateShortcut()
+		});
+
+		this.settings.add('chat.keyboard-mode.advance', {
+			default: false,
+			ui: {
+				path: 'Chat > Actions > Keyboard Mode >> General',
+				title: 'Select the next message after running an action.',
+				component: 'setting-check-box'
+			}
+		});
+
+		this.active = null;
+		this.cursor = null;
+		this.bound_keys = null;
+
+		this.toggle = this.toggle.bind(this);
+		this.onKey = this.onKey.bind(this);
+		this.onHotkey = this.onHotkey.bind(this);
+	}
+
+
+	onEnable() {
+		this.Mousetrap = this.web_munch.getModule('mousetrap') || window.Mousetrap;
+		this.updateShortcut();
+
+		this.chat.context.on('changed:chat.actions.inline', this.updateHotkeys, this);
+		this.chat.context.on('changed:chat.actions.hover', this.updateHotkeys, this);
+		this.chat.context.on('changed:chat.actions.user-context', this.updateHotkeys, this);
+
+		this.scroller.ChatScroller.on('unmount', inst => {
+			if ( inst === this.active )
+				this.exit();
+		});
+	}
+
+
+	updateShortcut() {
+		const Mousetrap = this.Mousetrap;
+		if ( ! Mousetrap || ! Mousetrap.bind )
+			return;
+
+		if ( this._shortcut_bound ) {
+			Mousetrap.unbind(this._shortcut_bound);
+			this._shortcut_bound = null;
+		}
+
+		const key = this.chat.context.get('chat.keyboard-mode.hotkey');
+		if ( key && isValidShortcut(key) ) {
+			Mousetrap.bind(key, this.toggle);
+			this._shortcut_bound = key;
+		}
+	}
+
+
+	updateHotkeys() {
+		const Mousetrap = this.Mousetrap;
+		if ( ! Mousetrap || ! Mousetrap.bind )
+			return;
+
+		if ( this.bound_keys ) {
+			for(const key of this.bound_keys)
+				if ( key !== this._shortcut_bound )
+					Mousetrap.unbind(key);
+
+			this.bound_keys = null;
+		}
+
+		// Action hotkeys are only bound while Keyboard Mode is active so
+		// that they don't interfere with other shortcuts.
+		if ( ! this.active )
+			return;
+
+		// Mousetrap only keeps one handler for each key sequence, so skip
+		// any hotkeys that are already in use rather than replacing them.
+		const reserved = this.getReservedHotkeys();
+
+		this.bound_keys = [];
+		for(const key of this.actions.getHotkeys()) {
+			if ( reserved.has(key) ) {
+				this.log.warn(`Not binding action hotkey "${key}" because it is already in use.`);
+				continue;
+			}
+
+			this.bound_keys.push(key);
+			Mousetrap.bind(key, this.onHotkey);
+		}
+	}
+
+
+	/**
+	 * Get the hotkeys used elsewhere in FrankerFaceZ. Action hotkeys using
+	 * these are not bound while Keyboard Mode is active.
+	 *
+	 * @returns {Set<String>} The hotkeys in use.
+	 */
+	getReservedHotkeys() {
+		const out = new Set,
+			shortcut = this.chat.context.get('chat.keyboard-mode.hotkey'),
+			compressor = this.settings.get('player.compressor.shortcut');
+
+		if ( shortcut )
+			out.add(shortcut);
+
+		if ( compressor )
+			out.add(compressor);
+
+		for(const profile of this.settings.__profiles)
+			if ( profile.hotkey_enabled && profile.hotkey )
+				out.add(profile.hotkey);
+
+		return out;
+	}
+
+
+	/**
+	 * Check if a hotkey is used elsewhere in FrankerFaceZ, and so can't
+	 * be used for a chat action.
+	 *
+	 * @param {String} key The hotkey.
+	 * @returns {Boolean} Whether or not the hotkey is in use.
+	 */
+	isReservedHotkey(key) {
+		return key ? this.getReservedHotkeys().has(key) : false;
+	}
+
+
+	// ========================================================================
+	// Mode
+	// ========================================================================
+
+	toggle(event) {
+		if ( event ) {
+			event.preventDefault();
+			event.stopPropagation();
+		}
+
+		if ( this.active )
+			this.exit();
+		else
+			this.enter();
+	}
+
+
+	enter() {
+		let inst;
+		for(const scroller of this.scroller.ChatScroller.instances)
+			if ( scroller.scrollRef?.scrollContent ) {
+				inst = scroller;
+				break;
+			}
+
+		if ( ! inst || ! inst.ffzSetKeyboardMode )
+			return;
+
+		this.active = inst;
+		inst.ffzSetKeyboardMode(true);
+
+		// Hotkeys don't fire while typing, so get out of the chat input.
+		if ( document.activeElement && document.activeElement !== document.body )
+			document.activeElement.blur();
+
+		window.addEventListener('keydown', this.onKey, true);
+		this.updateHotkeys();
+
+		const lines = this.getLines();
+		this.select(lines[lines.length - 1]);
+	}
+
+
+	exit() {
+		const inst = this.active;
+		this.select(null);
+		this.active = null;
+
+		window.removeEventListener('keydown', this.onKey, true);
+		this.updateHotkeys();
+
+		if ( inst && inst.ffzSetKeyboardMode )
+			inst.ffzSetKeyboardMode(false);
+	}
+
+
+	// ========================================================================
+	// Cursor
+	// ========================================================================
+
+	getLines() {
+		const container = this.active?.scrollRef?.scrollContent;
+		if ( ! container )
+			return [];
+
+		// Notices contain nested message elements. We only want the
+		// outermost element for each line.
+		return Array.from(container.querySelectorAll('.chat-line__message[data-user]'))
+			.filter(el => ! el.parentElement.closest('.chat-line__message'));
+	}
+
+
+	select(el) {
+		if ( this.cursor && this.cursor !== el )
+			this.cursor.classList.remove(CURSOR_CLASS);
+
+		this.cursor = el || null;
+		if ( ! el )
+			return;
+
+		el.classList.add(CURSOR_CLASS);
+		el.scrollIntoView({block: 'nearest'});
+	}
+
+
+	move(offset) {
+		const lines = this.getLines();
+		if ( ! lines.length )
+			return this.select(null);
+
+		let idx = this.cursor ? lines.indexOf(this.cursor) : -1;
+
+		// If the line we had selected is gone, start from the end.
+		if ( idx === -1 )
+			idx = lines.length - 1;
+		else if ( offset === -Infinity )
+			idx = 0;
+		else if ( offset === Infinity )
+			idx = lines.length - 1;
+		else
+			idx = Math.max(0, Math.min(lines.length - 1, idx + offset));
+
+		this.select(lines[idx]);
+	}
+
+
+	getLine() {
+		if ( ! this.cursor || ! this.cursor.isConnected )
+			return null;
+
+		return this.fine.searchParent(this.cursor, n => n.props && n.props.message);
+	}
+
+
+	// ========================================================================
+	// Events
+	// ========================================================================
+
+	onKey(event) {
+		if ( event.ctrlKey || event.altKey || event.metaKey || event.shiftKey )
+			return;
+
+		if ( event.key === 'Escape' ) {
+			event.preventDefault();
+			event.stopPropagation();
+			return this.exit();
+		}
+
+		const offset = NAV_KEYS[event.key];
+		if ( offset == null )
+			return;
+
+		event.preventDefault();
+		event.stopPropagation();
+		this.move(offset);
+	}
+
+
+	onHotkey(event, combo) {
+		if ( ! this.active )
+			return;
+
+		if ( event ) {
+			event.preventDefault();
+			event.stopPropagation();
+		}
+
+		const line = this.getLine();
+		if ( ! line ) {
+			this.move(0);
+			return;
+		}
+
+		if ( this.actions.runHotkey(combo, line, event) && this.chat.context.get('chat.keyboard-mode.advance') )
+			this.move(1);
+	}
+}
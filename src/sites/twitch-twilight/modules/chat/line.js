@@ -27,6 +27,7 @@ export default class ChatLine extends Module {
 
 		this.inject('settings');
 		this.inject('i18n');
+		this.inject('tooltips');
 		this.inject('chat');
 		this.inject('site');
 		this.inject('site.fine');
@@ -352,6 +353,29 @@ export default class ChatLine extends Module {
 		this.on('i18n:update', this.rerenderLines, this);
 		this.on('chat.emotes:update-effects', this.checkEffects, this);
 
+		this.tooltips.types['chat-merged'] = target => {
+			const line = this.fine.searchParent(target, n => n.props && n.props.message),
+				merged = line?.props?.message?.ffz_merged;
+
+			if ( ! merged )
+				return null;
+
+			const counts = new Map;
+			for(const msg of merged) {
+				const name = msg.user?.displayName || msg.user?.login;
+				if ( name )
+					counts.set(name, (counts.get(name) || 0) + 1);
+			}
+
+			const users = [];
+			for(const [name, count] of counts)
+				users.push(count > 1 ? `${name} (×${count})` : name);
+
+			return this.i18n.t('chat.merged.senders', 'Sent by: {users}', {
+				users: users.join(', ')
+			});
+		};
+
 		this.can_reprocess = true;
 
 		this.on('chat:reload-data', () => this.can_reprocess = true);
@@ -555,6 +579,9 @@ export default class ChatLine extends Module {
 				this._ffz_show = show;
 
 				return show !== old_show ||
+					(props.message.ffz_merged?.length ?? 0) !== this._ffz_merge_size ||
+					!! props.message.ffz_merge_head !== !! this._ffz_merge_hidden ||
+					!! props.message.ffz_merge_head?.deleted ||
 					(state && this.state && (state.ffz_expanded !== this.state.ffz_expanded)) ||
 					//state.renderDebug !== this.state.renderDebug ||
 					props.deletedMessageDisplay !== this.props.deletedMessageDisplay ||
@@ -604,6 +631,15 @@ export default class ChatLine extends Module {
 				this.renderMessageAuthor = old_render_author;
 			}
 
+			cls.prototype.ffzExpandMerged = function() {
+				const msg = this.props.message;
+				if ( ! msg || ! msg.ffz_merged )
+					return;
+
+				msg.ffz_merge_expanded = true;
+				t.rerenderLines();
+			}
+
 			cls.prototype.ffzReplyAuthor = function() {
 				const msg = t.chat.standardizeMessage(this.props.message),
 					user = msg.user,
@@ -659,7 +695,22 @@ export default class ChatLine extends Module {
 				this._ffz_no_scan = true;
 
 				const msg = t.chat.standardizeMessage(this.props.message),
-					override_mode = t.chat.context.get('chat.filtering.display-deleted');
+					override_mode = t.chat.context.get('chat.filtering.display-deleted'),
+					merge = t.chat.context.get('chat.merge-repeated');
+
+				// A deleted line can't stand in for the messages merged into it,
+				// which may be from other users, so split them back out.
+				if ( msg.deleted && msg.ffz_merged )
+					t.parent.unmergeMessage(msg);
+				else if ( msg.ffz_merge_head?.deleted )
+					t.parent.unmergeMessage(msg.ffz_merge_head);
+
+				// Messages merged into an earlier line aren't rendered until that
+				// line is expanded.
+				this._ffz_merge_size = msg.ffz_merged?.length ?? 0;
+				this._ffz_merge_hidden = !! msg.ffz_merge_head;
+				if ( merge && msg.ffz_merge_head && ! msg.ffz_merge_head.ffz_merge_expanded )
+					return null;
 
 				// Before anything else, check to see if the deleted message view is set
 				// to BRIEF and the message is deleted. In that case we can exit very
@@ -724,6 +775,9 @@ other {# messages were deleted by a moderator.}
 				if ( ! this.ffz_open_reply )
 					this.ffz_open_reply = this.ffzOpenReply.bind(this);
 
+				if ( ! this.ffz_expand_merged )
+					this.ffz_expand_merged = this.ffzExpandMerged.bind(this);
+
 				if ( ! this.ffz_user_click_handler ) {
 					if ( this.props.onUsernameClick )
 						this.ffz_user_click_handler = event => {
@@ -929,6 +983,7 @@ other {# messages were deleted by a moderator.}
 						e('span', {
 							className: 'chat-line__message--badges'
 						}, t.chat.badges.render(msg, e)),
+						t.overrides.renderNote(msg.user, e),
 
 						// User
 						user_block,
@@ -965,6 +1020,16 @@ other {# messages were deleted by a moderator.}
 						// Moderation Action
 						mod_action,
 
+						// Merged Count
+						merge && ! msg.ffz_merge_expanded && this._ffz_merge_size > 1
+							? e('span', {
+								className: 'ffz-tooltip ffz--merged-count tw-pd-l-05',
+								role: 'button',
+								'data-tooltip-type': 'chat-merged',
+								onClick: this.ffz_expand_merged
+							}, `×${this._ffz_merge_size}`)
+							: null,
+
 						// Rich Content
 						rich_content
 							? e(FFZRichContent, rich_content)
@@ -1285,6 +1350,7 @@ other {# messages were deleted by a moderator.}
 					e('span', {
 						className: 'chat-line__message--badges'
 					}, t.chat.badges.render(msg, e)),
+					t.overrides.renderNote(msg.user, e),
 					e('span', user_props, override_name ? [
 						e('span', {
 							className: 'chat-author__display-name'
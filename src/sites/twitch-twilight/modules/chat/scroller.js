@@ -590,6 +590,9 @@ export default class Scroller extends Module {
 				const mode = this.ffzGetMode(),
 					require_hover = t.pause_hover;
 
+				if ( this.ffz_keyboard )
+					return true;
+
 				return (! require_hover || ! this.ffz_outside) && (
 					(this.ffz_acting) ||
 					(this.ffz_ctrl  && (mode === 2 || mode === 6)) ||
@@ -615,6 +618,22 @@ export default class Scroller extends Module {
 				return mode;
 			}
 
+			cls.prototype.ffzSetKeyboardMode = function(enabled) {
+				this.ffz_keyboard = enabled;
+				if ( this.scrollRef?.root )
+					this.scrollRef.root.classList.toggle('ffz--keyboard-mode', enabled);
+
+				if ( enabled ) {
+					if ( ! this.state.isPaused )
+						this.pause();
+					if ( ! this.state.ffz_scrolled_up )
+						this.setLoadMoreEnabled(false);
+				} else
+					this.ffzMaybeUnpause();
+
+				this.forceUpdate();
+			}
+
 			cls.prototype.ffzMaybeUnpause = function() {
 				if ( this.state.isPaused && ! this._ffz_unpause_frame )
 					this._ffz_unpause_frame = requestAnimationFrame(() => {
@@ -630,7 +649,8 @@ export default class Scroller extends Module {
 					msg = t.i18n.t('chat.messages-below', 'Chat Paused Due to Scroll');
 				else if ( this.state.isPaused ) {
 					const f = this.ffzGetMode(),
-						reason = this.ffz_acting ? t.i18n.t('chat.acting', 'Taking Action') :
+						reason = this.ffz_keyboard ? t.i18n.t('chat.keyboard-mode', 'Keyboard Mode') :
+							this.ffz_acting ? t.i18n.t('chat.acting', 'Taking Action') :
 							f === 2 ? t.i18n.t('key.ctrl', 'Ctrl Key') :
 								f === 3 ? t.i18n.t('key.meta', 'Meta Key') :
 									f === 4 ? t.i18n.t('key.alt', 'Alt Key') :
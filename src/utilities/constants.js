@@ -107,7 +107,8 @@ export const RERENDER_SETTINGS = [
 	'chat.filtering.display-mod-action',
 	'chat.replies.style',
 	'chat.bits.cheer-notice',
-	'chat.filtering.hidden-tokens'
+	'chat.filtering.hidden-tokens',
+	'chat.merge-repeated'
 ];
 
 export const UPDATE_BADGE_SETTINGS = [
@@ -132,7 +133,17 @@ export const UPDATE_TOKEN_SETTINGS = [
 	'chat.filtering.process-own',
 	'chat.filtering.mention-priority',
 	'chat.filtering.debug',
+	'chat.filtering.spam.behavior',
+	'chat.filtering.spam.color',
+	'chat.filtering.spam.priority',
+	'chat.filtering.spam.similarity',
+	'chat.filtering.spam.min-length',
+	'chat.filtering.spam.repetition',
+	'chat.filtering.spam.caps',
 	'chat.fix-bad-emotes',
+	'chat.translation.mode',
+	'chat.translation.backend',
+	'chat.translation.language',
 	'__filter:highlight-terms',
 	'__filter:highlight-users',
 	'__filter:highlight-badges',
@@ -0,0 +1,202 @@
+'use strict';
+
+// ============================================================================
+// Encrypted Files
+// ============================================================================
+//
+// Encrypted files start with a plain-text header that can be used to detect
+// them and to find the parameters needed for decryption:
+//
+//     FFZ-ENCRYPTED\n{"version":1, ... }\n<ciphertext>
+//
+// The ciphertext is the original file encrypted with AES-GCM using a key
+// derived from a passphrase with PBKDF2. The header is authenticated as
+// additional data, so it cannot be tampered with.
+
+export const ENCRYPTED_MAGIC = 'FFZ-ENCRYPTED\n';
+export const ENCRYPTED_VERSION = 1;
+export const ENCRYPTED_EXTENSION = 'ffzbackup';
+
+const ITERATIONS = 250000,
+	SALT_LENGTH = 16,
+	IV_LENGTH = 12,
+	MAX_HEADER_LENGTH = 4096;
+
+const encoder = new TextEncoder(),
+	decoder = new TextDecoder();
+
+
+export class EncryptionError extends Error { }
+export class InvalidPassphraseError extends EncryptionError { }
+
+
+function toBase64(bytes) {
+	let out = '';
+	for(let i = 0; i < bytes.length; i++)
+		out += String.fromCharCode(bytes[i]);
+
+	return btoa(out);
+}
+
+function fromBase64(text) {
+	const raw = atob(text),
+		out = new Uint8Array(raw.length);
+
+	for(let i = 0; i < raw.length; i++)
+		out[i] = raw.charCodeAt(i);
+
+	return out;
+}
+
+
+async function deriveKey(passphrase, salt, iterations) {
+	const material = await crypto.subtle.importKey(
+		'raw',
+		encoder.encode(passphrase),
+		'PBKDF2',
+		false,
+		['deriveKey']
+	);
+
+	return crypto.subtle.deriveKey(
+		{name: 'PBKDF2', salt, iterations, hash: 'SHA-256'},
+		material,
+		{name: 'AES-GCM', length: 256},
+		false,
+		['encrypt', 'decrypt']
+	);
+}
+
+
+/**
+ * Check whether or not encryption is supported by this browser.
+ * @returns {Boolean} Whether or not encryption is supported.
+ */
+export function isEncryptionSupported() {
+	return !! (window.crypto && window.crypto.subtle && window.TextEncoder);
+}
+
+
+/**
+ * Check whether or not a file is encrypted by looking for the
+ * magic string at the start of the file.
+ *
+ * @param {Blob} file The file to check.
+ * @returns {Promise<Boolean>} Whether or not the file is encrypted.
+ */
+export async function isEncryptedFile(file) {
+	if ( ! file || file.size < ENCRYPTED_MAGIC.length )
+		return false;
+
+	const start = await file.slice(0, ENCRYPTED_MAGIC.length).arrayBuffer();
+	return decoder.decode(start) === ENCRYPTED_MAGIC;
+}
+
+
+/**
+ * Read the header of an encrypted file.
+ *
+ * @param {Blob} file The encrypted file.
+ * @returns {Promise<Object>} The header, along with the byte `offset` where
+ * the ciphertext starts and the raw header `bytes`.
+ */
+export async function readEncryptedHeader(file) {
+	const start = new Uint8Array(await file.slice(0, ENCRYPTED_MAGIC.length + MAX_HEADER_LENGTH).arrayBuffer()),
+		magic = decoder.decode(start.subarray(0, ENCRYPTED_MAGIC.length));
+
+	if ( magic !== ENCRYPTED_MAGIC )
+		throw new EncryptionError('not an encrypted file');
+
+	const end = start.indexOf(10, ENCRYPTED_MAGIC.length);
+	if ( end === -1 )
+		throw new EncryptionError('invalid header');
+
+	let header;
+	try {
+		header = JSON.parse(decoder.decode(start.subarray(ENCRYPTED_MAGIC.length, end)));
+	} catch(err) {
+		throw new EncryptionError('invalid header');
+	}
+
+	if ( ! header || typeof header !== 'object' )
+		throw new EncryptionError('invalid header');
+
+	if ( header.version !== ENCRYPTED_VERSION )
+		throw new EncryptionError(`unsupported version: ${header.version}`);
+
+	header.offset = end + 1;
+	header.bytes = start.slice(0, header.offset);
+	return header;
+}
+
+
+/**
+ * Encrypt a file with a passphrase.
+ *
+ * @param {File} file The file to encrypt.
+ * @param {String} passphrase The passphrase to encrypt the file with.
+ * @returns {Promise<File>} The encrypted file.
+ */
+export async function encryptFile(file, passphrase) {
+	if ( ! passphrase )
+		throw new EncryptionError('a passphrase is required');
+
+	const salt = crypto.getRandomValues(new Uint8Array(SALT_LENGTH)),
+		iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH)),
+		key = await deriveKey(passphrase, salt, ITERATIONS);
+
+	const header = encoder.encode(`${ENCRYPTED_MAGIC}${JSON.stringify({
+		version: ENCRYPTED_VERSION,
+		cipher: 'AES-GCM',
+		kdf: 'PBKDF2',
+		hash: 'SHA-256',
+		iterations: ITERATIONS,
+		salt: toBase64(salt),
+		iv: toBase64(iv),
+		name: file.name,
+		mime: file.type
+	})}\n`);
+
+	const data = await crypto.subtle.encrypt(
+		{name: 'AES-GCM', iv, additionalData: header},
+		key,
+		await file.arrayBuffer()
+	);
+
+	const name = file.name ? file.name.replace(/\.[^.]+$/, '') : 'encrypted';
+
+	return new File([header, data], `${name}.${ENCRYPTED_EXTENSION}`, {type: 'application/octet-stream'});
+}
+
+
+/**
+ * Decrypt a file that was encrypted with {@link encryptFile}.
+ *
+ * @param {Blob} file The encrypted file.
+ * @param {String} passphrase The passphrase to decrypt the file with.
+ * @throws {InvalidPassphraseError} If the passphrase is wrong or the file
+ * has been modified.
+ * @returns {Promise<File>} The decrypted file, with its original name
+ * and type.
+ */
+export async function decryptFile(file, passphrase) {
+	const header = await readEncryptedHeader(file);
+
+	if ( header.cipher !== 'AES-GCM' || header.kdf !== 'PBKDF2' || header.hash !== 'SHA-256' )
+		throw new EncryptionError('unsupported encryption parameters');
+
+	const key = await deriveKey(passphrase, fromBase64(header.salt), header.iterations);
+
+	let data;
+	try {
+		data = await crypto.subtle.decrypt(
+			{name: 'AES-GCM', iv: fromBase64(header.iv), additionalData: header.bytes},
+			key,
+			await file.slice(header.offset).arrayBuffer()
+		);
+	} catch(err) {
+		throw new InvalidPassphraseError('unable to decrypt file');
+	}
+
+	return new File([data], header.name || 'decrypted', {type: header.mime || ''});
+}
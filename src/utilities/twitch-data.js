@@ -669,13 +669,17 @@ export default class TwitchData extends Module {
 	 *
 	 * @param {int|string|null|undefined} id - the channel id number (can be an integer string)
 	 * @param {string|null|undefined} login - the channel name
+	 * @param {boolean} [fresh=false] - whether to skip Apollo's cache and always fetch from the network
 	 * @returns {Promise} information about the requested stream
 	 *
 	 * @example
 	 *
 	 *  this.twitch_data.getStreamMeta(19571641, null).then(function(returnObj){console.log(returnObj);});
 	 */
-	getStreamMeta(id, login) {
+	getStreamMeta(id, login, fresh = false) {
+		if ( fresh )
+			this._fresh_streams = true;
+
 		return new Promise((s, f) => {
 			if ( id ) {
 				if ( this._waiting_stream_ids.has(id) )
@@ -701,6 +705,9 @@ export default class TwitchData extends Module {
 
 		this._loading_streams = true;
 
+		const fresh = this._fresh_streams;
+		this._fresh_streams = false;
+
 		// Get the first 50... things.
 		const ids = [...this._waiting_stream_ids.keys()].slice(0, 50),
 			remaining = 50 - ids.length,
@@ -714,7 +721,8 @@ export default class TwitchData extends Module {
 				variables: {
 					ids: ids.length ? ids : null,
 					logins: logins.length ? logins : null
-				}
+				},
+				fetchPolicy: fresh ? 'network-only' : 'cache-first'
 			});
 
 			nodes = get('data.users', data);
@@ -736,6 +744,11 @@ export default class TwitchData extends Module {
 					pair[1](err);
 			}
 
+			this._loading_streams = false;
+
+			if ( this._waiting_stream_ids.size || this._waiting_stream_logins.size )
+				this._loadStreams();
+
 			return;
 		}
 